@@ -0,0 +1,77 @@
+const bcrypt = require("bcrypt");
+const { nanoid } = require("nanoid");
+const { pool } = require("./db");
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_COOKIE = "sid";
+const SESSION_TTL_DAYS = 30;
+
+const COOKIE_SECRET = process.env.SESSION_SECRET || "dev-only-session-secret";
+if (!process.env.SESSION_SECRET) {
+  console.warn("WARNING: SESSION_SECRET is not set; using an insecure development secret.");
+}
+
+const SESSION_COOKIE_OPTIONS = {
+  httpOnly: true,
+  signed: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+};
+
+// --- Passwords ---
+function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, hash) {
+  if (!hash || typeof password !== "string") return Promise.resolve(false);
+  return bcrypt.compare(password, hash);
+}
+
+// --- Sessions ---
+async function createSession(tenantId) {
+  const id = nanoid(32);
+  await pool.query(
+    `INSERT INTO sessions (id, tenant_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [id, tenantId, SESSION_TTL_DAYS]
+  );
+  return id;
+}
+
+async function destroySession(id) {
+  await pool.query("DELETE FROM sessions WHERE id = $1", [id]);
+}
+
+// Tenant for a live session id, or null
+async function tenantForSession(id) {
+  if (!id) return null;
+  const result = await pool.query(
+    `SELECT t.id, t.name, t.role
+     FROM sessions s JOIN tenants t ON t.id = s.tenant_id
+     WHERE s.id = $1 AND s.expires_at > NOW()`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  COOKIE_SECRET,
+  SESSION_COOKIE,
+  SESSION_COOKIE_OPTIONS,
+  passwordProblem,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  tenantForSession,
+};
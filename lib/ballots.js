@@ -0,0 +1,89 @@
+// Ballots: separate ranking campaigns over a filtered subset of the tracker.
+//
+// option_filter is { years?: [int], boroughs?: [string], optionIds?: [int] };
+// a missing or empty list means "any". A ballot is "upcoming" before opens_at,
+// "open" until closes_at (if any), and "closed" (read-only) after that.
+//
+// rank_by "visits" makes every tracker row an option; "restaurants" makes one
+// option per restaurant (its first visit in the pool stands for all of them).
+const { parsePolicy } = require("./weighting");
+
+const ROUND_SIZE_MIN = 3;
+const ROUND_SIZE_MAX = 8;
+const DEFAULT_ROUND_SIZE = 5;
+const RANK_BY = ["visits", "restaurants"];
+
+function intList(raw) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) return null;
+  const list = raw.map(Number);
+  return list.every(Number.isInteger) ? [...new Set(list)] : null;
+}
+
+// Validate an option filter from a request body; { filter } or { error }
+function parseOptionFilter(raw) {
+  if (raw == null) return { filter: {} };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "Invalid option filter" };
+
+  const years = intList(raw.years);
+  const optionIds = intList(raw.optionIds);
+  const boroughs = raw.boroughs == null ? [] : raw.boroughs;
+  if (!years || !optionIds) return { error: "Invalid option filter" };
+  if (!Array.isArray(boroughs) || !boroughs.every((b) => typeof b === "string")) {
+    return { error: "Invalid option filter" };
+  }
+
+  const filter = {};
+  if (years.length) filter.years = years;
+  if (boroughs.length) filter.boroughs = boroughs;
+  if (optionIds.length) filter.optionIds = optionIds;
+  return { filter };
+}
+
+function parseDate(raw) {
+  if (raw == null || raw === "") return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// Validate ballot settings from a request body. Fields missing from `raw`
+// fall back to `current` (an existing ballot in API shape) when editing.
+// Returns { ballot: { name, filter, rankBy, opensAt, closesAt, roundSize, weighting } } or { error }.
+function parseBallotInput(raw, current = null) {
+  if (!raw || typeof raw !== "object") return { error: "Invalid payload" };
+  const pick = (key) => (raw[key] !== undefined ? raw[key] : current?.[key]);
+
+  const name = String(pick("name") || "").trim();
+  if (!name) return { error: "Name required" };
+
+  const { filter, error: filterError } = parseOptionFilter(pick("filter"));
+  if (filterError) return { error: filterError };
+
+  const rankBy = pick("rankBy") || "visits";
+  if (!RANK_BY.includes(rankBy)) return { error: `rankBy must be one of ${RANK_BY.join(", ")}` };
+
+  const opensAt = parseDate(pick("opensAt")) || (current ? undefined : new Date());
+  if (!opensAt) return { error: "Invalid opensAt" };
+  const closesAt = parseDate(pick("closesAt"));
+  if (closesAt === undefined) return { error: "Invalid closesAt" };
+  if (closesAt && closesAt <= opensAt) return { error: "closesAt must be after opensAt" };
+
+  const roundSize = Number(pick("roundSize") ?? DEFAULT_ROUND_SIZE);
+  if (!Number.isInteger(roundSize) || roundSize < ROUND_SIZE_MIN || roundSize > ROUND_SIZE_MAX) {
+    return { error: `Round size must be ${ROUND_SIZE_MIN}-${ROUND_SIZE_MAX}` };
+  }
+
+  const { policy: weighting, error: weightingError } = parsePolicy(pick("weighting") || {});
+  if (weightingError) return { error: weightingError };
+
+  return { ballot: { name, filter, rankBy, opensAt, closesAt, roundSize, weighting } };
+}
+
+module.exports = {
+  ROUND_SIZE_MIN,
+  ROUND_SIZE_MAX,
+  DEFAULT_ROUND_SIZE,
+  RANK_BY,
+  parseOptionFilter,
+  parseBallotInput
+};
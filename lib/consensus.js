@@ -0,0 +1,50 @@
+// Condorcet consensus (Schulze method) across members' personal orders.
+//
+// Each ballot is a Map(optionId -> score) for one member; higher is better and
+// options missing from a ballot rank below everything on it (tied together).
+
+// d[i][j] = number of ballots preferring ids[i] over ids[j]
+function preferenceMatrix(ballots, ids) {
+  const n = ids.length;
+  const d = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (const ballot of ballots) {
+    const score = ids.map((id) => (ballot.has(id) ? ballot.get(id) : -Infinity));
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j && score[i] > score[j]) d[i][j]++;
+      }
+    }
+  }
+  return d;
+}
+
+// Strongest path strengths (widest paths) over the preference matrix
+function strongestPaths(d) {
+  const n = d.length;
+  const p = d.map((row, i) => row.map((x, j) => (i !== j && x > d[j][i] ? x : 0)));
+
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      if (i === k || !p[i][k]) continue;
+      for (let j = 0; j < n; j++) {
+        if (j === i || j === k) continue;
+        const via = Math.min(p[i][k], p[k][j]);
+        if (via > p[i][j]) p[i][j] = via;
+      }
+    }
+  }
+  return p;
+}
+
+// Schulze winners: wins[i] = how many options ids[i] beats by strongest path.
+// Sorting by wins gives the Schulze order (equal wins are unresolved ties).
+function schulze(ballots, ids) {
+  const d = preferenceMatrix(ballots, ids);
+  const p = strongestPaths(d);
+
+  const wins = ids.map((_, i) => p[i].reduce((n, x, j) => n + (x > p[j][i] ? 1 : 0), 0));
+  return { preferences: d, paths: p, wins };
+}
+
+module.exports = { preferenceMatrix, strongestPaths, schulze };
@@ -0,0 +1,81 @@
+// Multi-criteria visit scores: each member who attended a visit can score it
+// from SCORE_MIN to SCORE_MAX on every active criterion (patty, bun, ...).
+//
+// A member's score for a visit is the weighted mean of the criteria they
+// scored (weights are per criterion; weight 0 keeps a criterion visible but
+// out of the totals). A visit's score is the mean of its members' scores, so
+// every member counts once however many criteria they filled in; a
+// restaurant's score pools the member scores of all its visits.
+
+const SCORE_MIN = 1;
+const SCORE_MAX = 10;
+const MAX_CRITERION_WEIGHT = 10;
+
+// Validate a criterion from a request body; { criterion: { key, label, weight, active } } or { error }.
+// With partial, missing fields are left out (for updates).
+function parseCriterion(raw, { partial = false } = {}) {
+  if (!raw || typeof raw !== "object") return { error: "Invalid criterion" };
+  const criterion = {};
+
+  if (raw.label != null || !partial) {
+    criterion.label = String(raw.label ?? "").trim();
+    if (!criterion.label || criterion.label.length > 40) return { error: "label must be 1-40 characters" };
+  }
+  if (!partial) {
+    criterion.key = String(raw.key ?? criterion.label)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    if (!/^[a-z][a-z0-9_]{0,31}$/.test(criterion.key)) return { error: "key must start with a letter (a-z, 0-9, _)" };
+  }
+  if (raw.weight != null || !partial) {
+    criterion.weight = raw.weight == null ? 1 : Number(raw.weight);
+    if (!Number.isFinite(criterion.weight) || criterion.weight < 0 || criterion.weight > MAX_CRITERION_WEIGHT) {
+      return { error: `weight must be a number from 0 to ${MAX_CRITERION_WEIGHT}` };
+    }
+  }
+  if (raw.active != null || !partial) {
+    const active = raw.active ?? true;
+    if (active !== true && active !== false && active !== "true" && active !== "false") {
+      return { error: "active must be true or false" };
+    }
+    criterion.active = active === true || active === "true";
+  }
+  return { criterion };
+}
+
+// A member's scores from a request body ({ criterionId: score, ... }; null or ""
+// clears one) against the active criterion ids -> { scores: Map(id -> score|null) } or { error }
+function parseScores(raw, criterionIds) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "scores must be an object" };
+  const known = new Set(criterionIds);
+  const scores = new Map();
+
+  for (const [key, value] of Object.entries(raw)) {
+    const id = Number(key);
+    if (!known.has(id)) return { error: `Unknown criterion: ${key}` };
+    if (value == null || value === "") {
+      scores.set(id, null);
+      continue;
+    }
+    const score = Number(value);
+    if (!Number.isInteger(score) || score < SCORE_MIN || score > SCORE_MAX) {
+      return { error: `Scores must be whole numbers from ${SCORE_MIN} to ${SCORE_MAX}` };
+    }
+    scores.set(id, score);
+  }
+  return { scores };
+}
+
+// SQL subquery: one row per (burger_club_id, tenant_id) with that member's
+// weighted score for the visit, over active criteria with a weight
+function memberScoresSql() {
+  return `
+    SELECT s.burger_club_id, s.tenant_id, SUM(c.weight * s.score) / SUM(c.weight) AS score
+    FROM visit_scores s
+    JOIN criteria c ON c.id = s.criterion_id AND c.active AND c.weight > 0
+    GROUP BY s.burger_club_id, s.tenant_id`;
+}
+
+module.exports = { SCORE_MIN, SCORE_MAX, MAX_CRITERION_WEIGHT, parseCriterion, parseScores, memberScoresSql };
@@ -0,0 +1,234 @@
+// March Madness bracket structure shared by the bracket endpoints.
+//
+// A seeding layout is the compact shape of a /api/brackets result:
+// [{ name, size, teams: [{ id, seed, title }] }], one entry per region, where
+// size is the number of seed slots per region (layouts saved before brackets
+// could be resized have no size and mean 16). A seed without a team is a bye.
+// Rounds are named by the teams left in the whole bracket ("r64", "r32",
+// "s16", "e8", "ff", "final"). Game ids match buildRegionRounds() in
+// public/app.js: "<region>-<round>-<i>" inside a region, then "<round>-<i>"
+// once region winners meet ("ff-0", "ff-1", "final-0" with four regions).
+// Picks map a game id to the id of the option picked to win it.
+const crypto = require("crypto");
+
+const BRACKET_SIZES = [16, 32, 64, 128];
+const REGION_COUNTS = [1, 2, 4, 8];
+const DEFAULT_REGIONS = 4;
+const MIN_REGION_SIZE = 4;
+
+const MAX_UNDO = 50;
+
+// Bracket size and region count from { size, regions } (query or body).
+// Without a size, the smallest bracket that holds every entrant (at most 128;
+// the lowest-ranked entrants beyond that miss out).
+function parseBracketShape(raw, entrants) {
+  const auto = raw.size == null || raw.size === "" || raw.size === "auto";
+  const size = auto ? BRACKET_SIZES.find((n) => n >= entrants) || BRACKET_SIZES.at(-1) : Number(raw.size);
+  const regions = raw.regions == null || raw.regions === "" ? DEFAULT_REGIONS : Number(raw.regions);
+
+  if (!BRACKET_SIZES.includes(size)) return { error: `size must be one of ${BRACKET_SIZES.join(", ")}` };
+  if (!REGION_COUNTS.includes(regions)) return { error: `regions must be one of ${REGION_COUNTS.join(", ")}` };
+  if (size / regions < MIN_REGION_SIZE) {
+    return { error: `A ${size}-entry bracket can't have more than ${size / MIN_REGION_SIZE} regions` };
+  }
+  return { shape: { size, regions } };
+}
+
+// First-round seed pairs of a region with `size` slots, top to bottom. Each
+// round's order is unfolded from the one after it, which for 16 seeds gives
+// the NCAA order: 1-16, 8-9, 5-12, 4-13, 6-11, 3-14, 7-10, 2-15.
+function firstRoundPairs(size) {
+  let tops = [1];
+  for (let n = 4; n <= size; n *= 2) {
+    tops = tops.flatMap((x, i) => (i === 0 ? [x, n / 2 + 1 - x] : [n / 2 + 1 - x, x]));
+  }
+  return tops.map((x) => [x, size + 1 - x]);
+}
+
+// Name of the round played with `teams` teams left
+function roundType(teams) {
+  return { 2: "final", 4: "ff", 8: "e8", 16: "s16" }[teams] || `r${teams}`;
+}
+
+function layoutShape(layout) {
+  const regionSize = layout[0]?.size || 16;
+  return { size: regionSize * layout.length, regions: layout.length, regionSize };
+}
+
+// Round names in playing order
+function roundOrder(layout) {
+  const rounds = [];
+  for (let teams = layoutShape(layout).size; teams >= 2; teams /= 2) rounds.push(roundType(teams));
+  return rounds;
+}
+
+// Pick'em points for a correct pick: 1 in the first round, doubling each round
+function roundPoints(layout, type) {
+  return 2 ** roundOrder(layout).indexOf(type);
+}
+
+function finalGameId(layout) {
+  return layout.length === 1 ? `${layout[0].name}-final-0` : "final-0";
+}
+
+function seedingLayout(regions) {
+  return regions.map((r) => ({
+    name: r.name,
+    size: r.size,
+    teams: r.teams
+      .map((t) => ({ id: t.id, seed: t.seed, title: t.title }))
+      .sort((a, b) => a.seed - b.seed)
+  }));
+}
+
+// Stable id for a layout: brackets are saved against the seeding they were picked on.
+// 16-slot regions hash as they did before sizes existed, so those keys still match.
+function seedingKey(layout) {
+  const shape = layout.map((r) => {
+    const teams = r.teams.map((t) => [t.seed, t.id]);
+    return (r.size || 16) === 16 ? [r.name, teams] : [r.name, r.size, teams];
+  });
+  return crypto.createHash("sha256").update(JSON.stringify(shape)).digest("hex").slice(0, 16);
+}
+
+// gameId -> { type, teams: [idA, idB] } for first-round games,
+// or { type, feeders: [gameIdA, gameIdB] } for later ones
+function bracketGames(layout) {
+  const games = {};
+  const { size, regionSize } = layoutShape(layout);
+
+  // The round where the winners of `feeders` meet pairwise; returns its game ids
+  const round = (prefix, teams, feeders) => {
+    const type = roundType(teams);
+    return Array.from({ length: feeders.length / 2 }, (_, i) => {
+      const gameId = `${prefix}${type}-${i}`;
+      games[gameId] = { type, feeders: [feeders[i * 2], feeders[i * 2 + 1]] };
+      return gameId;
+    });
+  };
+
+  const regionWinners = layout.map((region) => {
+    const bySeed = new Map(region.teams.map((t) => [t.seed, t.id]));
+    const type = roundType(size);
+    let ids = firstRoundPairs(regionSize).map(([a, b], i) => {
+      const gameId = `${region.name}-${type}-${i}`;
+      games[gameId] = { type, teams: [bySeed.get(a) ?? null, bySeed.get(b) ?? null] };
+      return gameId;
+    });
+    for (let teams = size / 2; ids.length > 1; teams /= 2) ids = round(`${region.name}-`, teams, ids);
+    return ids[0];
+  });
+
+  let ids = regionWinners;
+  for (let teams = layout.length; ids.length > 1; teams /= 2) ids = round("", teams, ids);
+  return games;
+}
+
+// The teams that can meet in a game given the picks so far
+function gameTeams(games, picks, gameId) {
+  const game = games[gameId];
+  if (!game) return [];
+  if (game.teams) return game.teams;
+  return game.feeders.map((f) => picks[f] ?? null);
+}
+
+// Check picks against a layout; returns an error message or null.
+// Every pick must be one of the two teams that reach that game.
+function picksProblem(layout, picks) {
+  if (!picks || typeof picks !== "object" || Array.isArray(picks)) return "Invalid picks";
+
+  const games = bracketGames(layout);
+  for (const [gameId, winnerId] of Object.entries(picks)) {
+    if (winnerId == null) continue;
+    if (!games[gameId]) return `Unknown game ${gameId}`;
+    if (!gameTeams(games, picks, gameId).includes(winnerId)) return `Invalid pick for ${gameId}`;
+  }
+  return null;
+}
+
+// Winner of a head-to-head poll between teams [a, b]: most votes, then the
+// better (lower) seed, then the top slot. tally maps option id -> votes.
+function pollWinner(teams, tally, seedOf) {
+  const [a, b] = teams;
+  const votesA = tally[a] || 0;
+  const votesB = tally[b] || 0;
+  if (votesA !== votesB) return votesA > votesB ? a : b;
+  return (seedOf.get(b) ?? Infinity) < (seedOf.get(a) ?? Infinity) ? b : a;
+}
+
+// The bracket the group ranking implies: the better-ranked team wins every
+// game (ties: lower seed, then the top slot). rankOf maps option id -> overall
+// rank; teams missing from it rank last. A team facing nobody advances.
+function truthPicks(layout, rankOf) {
+  const games = bracketGames(layout);
+  const seedOf = new Map(layout.flatMap((r) => r.teams.map((t) => [t.id, t.seed])));
+  const rank = (id) => rankOf.get(id) ?? Infinity;
+  const truth = {};
+
+  for (const type of roundOrder(layout)) {
+    for (const [gameId, game] of Object.entries(games)) {
+      if (game.type !== type) continue;
+      const [a, b] = gameTeams(games, truth, gameId);
+      let winner;
+      if (a == null || b == null) winner = a ?? b;
+      else if (rank(a) !== rank(b)) winner = rank(a) < rank(b) ? a : b;
+      else winner = (seedOf.get(b) ?? Infinity) < (seedOf.get(a) ?? Infinity) ? b : a;
+      truth[gameId] = winner ?? null;
+    }
+  }
+  return truth;
+}
+
+// Score picks against the truth bracket. A correct pick earns its round's
+// points, plus upsetBonus per seed the winner was below the team it beat.
+// results maps gameId -> { status: "correct" | "busted", points }.
+function scorePicks(layout, picks, truth, { upsetBonus = 0 } = {}) {
+  const games = bracketGames(layout);
+  const seedOf = new Map(layout.flatMap((r) => r.teams.map((t) => [t.id, t.seed])));
+  const results = {};
+  let score = 0;
+  let correct = 0;
+
+  for (const [gameId, winnerId] of Object.entries(picks)) {
+    const game = games[gameId];
+    if (!game || winnerId == null) continue;
+    if (winnerId !== truth[gameId]) {
+      results[gameId] = { status: "busted", points: 0 };
+      continue;
+    }
+
+    const loser = gameTeams(games, truth, gameId).find((id) => id !== winnerId);
+    const seedGap = loser == null ? 0 : (seedOf.get(winnerId) ?? 0) - (seedOf.get(loser) ?? 0);
+    const points = roundPoints(layout, game.type) + Math.max(0, seedGap) * upsetBonus;
+    results[gameId] = { status: "correct", points };
+    score += points;
+    correct++;
+  }
+
+  const possible = Object.values(games).reduce((sum, g) => sum + roundPoints(layout, g.type), 0);
+  return { score, correct, picked: Object.keys(results).length, possible, results };
+}
+
+// Drop empty picks so stored brackets only hold decided games
+function compactPicks(picks) {
+  return Object.fromEntries(Object.entries(picks).filter(([, winnerId]) => winnerId != null));
+}
+
+module.exports = {
+  BRACKET_SIZES,
+  REGION_COUNTS,
+  MAX_UNDO,
+  parseBracketShape,
+  firstRoundPairs,
+  roundOrder,
+  finalGameId,
+  seedingLayout,
+  seedingKey,
+  bracketGames,
+  gameTeams,
+  picksProblem,
+  pollWinner,
+  truthPicks,
+  scorePicks,
+  compactPicks
+};
@@ -0,0 +1,71 @@
+// Burger photo pipeline: uploads are sniffed (the bytes, not the file name or
+// Content-Type, decide what they are), re-encoded into a display size and a
+// thumbnail as JPEG with EXIF orientation applied and all metadata (GPS,
+// camera, ...) stripped, and written under public/burgers/ with fresh names
+// so browsers never show a replaced photo from cache.
+const path = require("path");
+const fs = require("fs");
+const sharp = require("sharp");
+const { nanoid } = require("nanoid");
+
+const PHOTO_DIR = path.join(__dirname, "..", "public", "burgers");
+const PHOTO_URL_PREFIX = "/burgers/";
+
+// Longest side in pixels; PHOTO_DISPLAY_PX / PHOTO_THUMB_PX override
+const PHOTO_SIZES = {
+  display: Number(process.env.PHOTO_DISPLAY_PX) || 1600,
+  thumb: Number(process.env.PHOTO_THUMB_PX) || 240
+};
+// Upload limit (PHOTO_MAX_MB, default 10) and a cap on decoded pixels against decompression bombs
+const MAX_PHOTO_BYTES = (Number(process.env.PHOTO_MAX_MB) || 10) * 1024 * 1024;
+const MAX_INPUT_PIXELS = 100_000_000;
+
+// Image type from the file's magic bytes; null if it isn't a supported image
+function sniffImageType(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+  if (/^GIF8[79]a/.test(buf.toString("latin1", 0, 6))) return "gif";
+  if (buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") return "webp";
+  return null;
+}
+
+function resize(buf, size) {
+  return sharp(buf, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate() // bake in the EXIF orientation before the metadata goes
+    .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer();
+}
+
+// Write both sizes of an uploaded image for tracker record `id`;
+// returns { photoUrl, thumbUrl }. Throws if the image can't be decoded.
+async function savePhoto(id, buf) {
+  const [display, thumb] = await Promise.all([resize(buf, PHOTO_SIZES.display), resize(buf, PHOTO_SIZES.thumb)]);
+  const base = `${id}-${nanoid(8)}`;
+  await fs.promises.mkdir(PHOTO_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(PHOTO_DIR, `${base}.jpg`), display);
+  await fs.promises.writeFile(path.join(PHOTO_DIR, `${base}-thumb.jpg`), thumb);
+  return { photoUrl: `${PHOTO_URL_PREFIX}${base}.jpg`, thumbUrl: `${PHOTO_URL_PREFIX}${base}-thumb.jpg` };
+}
+
+// Delete the files behind photo URLs we own (/burgers/...); other URLs and missing files are ignored
+async function removePhotos(...urls) {
+  for (const url of urls) {
+    if (typeof url !== "string" || !url.startsWith(PHOTO_URL_PREFIX)) continue;
+    const file = path.join(PHOTO_DIR, path.basename(url));
+    try {
+      await fs.promises.unlink(file);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`Failed to remove photo ${file}:`, err.message);
+    }
+  }
+}
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  sniffImageType,
+  savePhoto,
+  removePhotos
+};
@@ -0,0 +1,290 @@
+// Printable bracket posters: a bracket (seeding layout + picks) laid out as
+// boxes and connectors, rendered to standalone SVG, PNG (via resvg) or PDF
+// (drawn with pdfkit). Regions are split between a left and a right half that
+// play towards the middle, like the madness tab; the champion's path through
+// the bracket is highlighted.
+const { Resvg } = require("@resvg/resvg-js");
+const PDFDocument = require("pdfkit");
+const { bracketGames, gameTeams, finalGameId } = require("./madness");
+
+const SLOT_W = 210;
+const SLOT_H = 26;
+const GAME_GAP = 12;
+const COL_GAP = 26;
+const REGION_GAP = 40;
+const MARGIN = 40;
+const HEADER_H = 80;
+const THUMB = 20;
+
+const COLORS = {
+  background: "#ffffff",
+  slot: "#f6f7fb",
+  border: "#c3c8d4",
+  text: "#1d2230",
+  muted: "#7a8194",
+  path: "#d49a00",
+  pathFill: "#fff6d8"
+};
+
+// Geometry shared by the SVG and PDF renderers. teams maps option id ->
+// { title, seed, thumb? } (thumb: PNG buffer). Returns { width, height, slots,
+// connectors, labels, champion }.
+function posterLayout(layout, picks, teams) {
+  const games = bracketGames(layout);
+  const half = Math.ceil(layout.length / 2);
+  const championId = picks[finalGameId(layout)] ?? null;
+  const info = {};
+
+  // Side and depth of every game; first-round games take the regions' side
+  for (const [gameId, game] of Object.entries(games)) {
+    if (game.teams) {
+      const regionIdx = layout.findIndex((r) => gameId.startsWith(`${r.name}-`));
+      info[gameId] = { side: regionIdx < half ? "left" : "right", depth: 0, region: regionIdx };
+    } else {
+      const [a, b] = game.feeders.map((f) => info[f]);
+      info[gameId] = { side: a.side === b.side ? a.side : "center", depth: Math.max(a.depth, b.depth) + 1 };
+    }
+  }
+
+  // First-round games are stacked down each side; later games sit between their feeders
+  const labels = [];
+  const sideHeight = { left: 0, right: 0 };
+  for (const side of ["left", "right"]) {
+    let y = HEADER_H;
+    let region = null;
+    for (const [gameId, game] of Object.entries(games)) {
+      const g = info[gameId];
+      if (!game.teams || g.side !== side) continue;
+      if (g.region !== region) {
+        if (region !== null) y += REGION_GAP;
+        region = g.region;
+        labels.push({ side, y: y + 14, text: layout[region].name });
+        y += 22;
+      }
+      g.cy = y + SLOT_H;
+      y += SLOT_H * 2 + GAME_GAP;
+    }
+    sideHeight[side] = y;
+  }
+  for (const [gameId, game] of Object.entries(games)) {
+    if (game.feeders) info[gameId].cy = (info[game.feeders[0]].cy + info[game.feeders[1]].cy) / 2;
+  }
+
+  const columns = Math.max(...Object.values(info).filter((g) => g.side === "left").map((g) => g.depth)) + 1;
+  const twoSided = Object.values(info).some((g) => g.side === "right");
+  const colW = SLOT_W + COL_GAP;
+  const width = twoSided ? MARGIN * 2 + columns * colW * 2 + SLOT_W : MARGIN * 2 + columns * colW - COL_GAP;
+  const xOf = (g) => {
+    if (g.side === "left") return MARGIN + g.depth * colW;
+    if (g.side === "right") return width - MARGIN - SLOT_W - g.depth * colW;
+    return (width - SLOT_W) / 2;
+  };
+  labels.forEach((l) => (l.x = l.side === "left" ? MARGIN : width - MARGIN - SLOT_W));
+
+  const slots = [];
+  const connectors = [];
+  for (const [gameId, game] of Object.entries(games)) {
+    const g = info[gameId];
+    const x = xOf(g);
+    const winnerId = picks[gameId] ?? null;
+
+    gameTeams(games, picks, gameId).forEach((teamId, i) => {
+      const team = teamId == null ? null : teams.get(teamId);
+      slots.push({
+        x,
+        y: g.cy - SLOT_H + i * SLOT_H,
+        team,
+        won: teamId != null && teamId === winnerId,
+        lost: winnerId != null && teamId !== winnerId,
+        championPath: teamId != null && teamId === championId
+      });
+
+      // Elbow from the feeder game's edge into this slot
+      if (!game.feeders) return;
+      const from = info[game.feeders[i]];
+      const fromRight = from.side === "left" || (from.side === "center" && g.side === "right");
+      const fx = fromRight ? xOf(from) + SLOT_W : xOf(from);
+      const tx = fromRight ? x : x + SLOT_W;
+      connectors.push({
+        points: [
+          [fx, from.cy],
+          [(fx + tx) / 2, from.cy],
+          [(fx + tx) / 2, g.cy - SLOT_H / 2 + i * SLOT_H],
+          [tx, g.cy - SLOT_H / 2 + i * SLOT_H]
+        ],
+        championPath: championId != null && picks[game.feeders[i]] === championId
+      });
+    });
+  }
+
+  const final = info[finalGameId(layout)];
+  const champion = {
+    x: xOf(final),
+    y: final.cy + SLOT_H + 30,
+    team: championId == null ? null : teams.get(championId)
+  };
+  const height = Math.max(sideHeight.left, sideHeight.right, champion.y + 70) + MARGIN;
+  return { width, height, slots, connectors, labels, champion };
+}
+
+function escapeXml(s) {
+  return String(s ?? "").replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function clip(text, max) {
+  const s = String(text ?? "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function slotLabel(team) {
+  return team ? clip(team.title, team.thumb ? 24 : 27) : "—";
+}
+
+function posterSvg(poster, { title, subtitle }) {
+  const { width, height } = poster;
+  const font = `font-family="Helvetica, Arial, sans-serif"`;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${COLORS.background}"/>`,
+    `<text x="${MARGIN}" y="${MARGIN + 4}" ${font} font-size="26" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>`,
+    `<text x="${MARGIN}" y="${MARGIN + 26}" ${font} font-size="13" fill="${COLORS.muted}">${escapeXml(subtitle)}</text>`
+  ];
+
+  for (const c of poster.connectors) {
+    const stroke = c.championPath ? `stroke="${COLORS.path}" stroke-width="3"` : `stroke="${COLORS.border}" stroke-width="1.5"`;
+    const d = c.points.map(([x, y], i) => `${i ? "L" : "M"}${x} ${y}`).join(" ");
+    parts.push(`<path d="${d}" fill="none" ${stroke}/>`);
+  }
+
+  for (const l of poster.labels) {
+    parts.push(
+      `<text x="${l.x}" y="${l.y}" ${font} font-size="14" font-weight="bold" fill="${COLORS.text}">${escapeXml(l.text)}</text>`
+    );
+  }
+
+  for (const s of poster.slots) {
+    const fill = s.championPath ? COLORS.pathFill : COLORS.slot;
+    const stroke = s.championPath ? `stroke="${COLORS.path}" stroke-width="2"` : `stroke="${COLORS.border}"`;
+    parts.push(`<rect x="${s.x}" y="${s.y}" width="${SLOT_W}" height="${SLOT_H}" fill="${fill}" ${stroke}/>`);
+    if (!s.team) continue;
+
+    let textX = s.x + 30;
+    parts.push(
+      `<text x="${s.x + 6}" y="${s.y + 17}" ${font} font-size="11" fill="${COLORS.muted}">${s.team.seed}</text>`
+    );
+    if (s.team.thumb) {
+      const href = `data:image/png;base64,${s.team.thumb.toString("base64")}`;
+      parts.push(`<image x="${textX}" y="${s.y + 3}" width="${THUMB}" height="${THUMB}" href="${href}"/>`);
+      textX += THUMB + 6;
+    }
+    const weight = s.won ? `font-weight="bold"` : "";
+    const color = s.lost ? COLORS.muted : COLORS.text;
+    parts.push(
+      `<text x="${textX}" y="${s.y + 17}" ${font} font-size="12" ${weight} fill="${color}">${escapeXml(slotLabel(s.team))}</text>`
+    );
+  }
+
+  const ch = poster.champion;
+  parts.push(
+    `<text x="${ch.x}" y="${ch.y}" ${font} font-size="12" fill="${COLORS.muted}">CHAMPION</text>`,
+    `<text x="${ch.x}" y="${ch.y + 26}" ${font} font-size="20" font-weight="bold" fill="${COLORS.path}">${escapeXml(
+      ch.team ? `#${ch.team.seed} ${clip(ch.team.title, 30)}` : "—"
+    )}</text>`,
+    `</svg>`
+  );
+  return parts.join("\n");
+}
+
+// PNG of an SVG; scale 2 gives a sharp poster print. Text uses system fonts,
+// or the TrueType file in POSTER_FONT when the server has none installed.
+function svgToPng(svg, scale = 2) {
+  const fontFile = process.env.POSTER_FONT;
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "zoom", value: scale },
+    font: {
+      loadSystemFonts: true,
+      ...(fontFile && { fontFiles: [fontFile], defaultFontFamily: "", sansSerifFamily: "" })
+    }
+  });
+  return resvg.render().asPng();
+}
+
+// Small square PNG thumbnail from an image buffer (PNG, JPEG, GIF or WebP); null if unreadable
+function thumbnailPng(buffer, mime) {
+  const href = `data:${mime};base64,${buffer.toString("base64")}`;
+  const size = THUMB * 3;
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    `<image width="${size}" height="${size}" preserveAspectRatio="xMidYMid slice" href="${href}"/></svg>`;
+  try {
+    return new Resvg(svg).render().asPng();
+  } catch {
+    return null;
+  }
+}
+
+// Vector PDF of the poster (one page the size of the bracket), with the PDF
+// standard Helvetica so no fonts need to be installed
+function posterPdf(poster, { title, subtitle }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [poster.width, poster.height], margin: 0, info: { Title: title } });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.rect(0, 0, poster.width, poster.height).fill(COLORS.background);
+    doc.font("Helvetica-Bold").fontSize(26).fillColor(COLORS.text).text(title, MARGIN, MARGIN - 20, { lineBreak: false });
+    doc.font("Helvetica").fontSize(13).fillColor(COLORS.muted).text(subtitle, MARGIN, MARGIN + 14, { lineBreak: false });
+
+    for (const c of poster.connectors) {
+      const [first, ...rest] = c.points;
+      doc.moveTo(...first);
+      rest.forEach((p) => doc.lineTo(...p));
+      doc.lineWidth(c.championPath ? 3 : 1.5).strokeColor(c.championPath ? COLORS.path : COLORS.border).stroke();
+    }
+
+    for (const l of poster.labels) {
+      doc.font("Helvetica-Bold").fontSize(14).fillColor(COLORS.text).text(l.text, l.x, l.y - 12, { lineBreak: false });
+    }
+
+    for (const s of poster.slots) {
+      doc
+        .rect(s.x, s.y, SLOT_W, SLOT_H)
+        .lineWidth(s.championPath ? 2 : 1)
+        .fillAndStroke(s.championPath ? COLORS.pathFill : COLORS.slot, s.championPath ? COLORS.path : COLORS.border);
+      if (!s.team) continue;
+
+      let textX = s.x + 30;
+      doc.font("Helvetica").fontSize(11).fillColor(COLORS.muted).text(String(s.team.seed), s.x + 6, s.y + 8, {
+        lineBreak: false
+      });
+      if (s.team.thumb) {
+        doc.image(s.team.thumb, textX, s.y + 3, { width: THUMB, height: THUMB });
+        textX += THUMB + 6;
+      }
+      doc
+        .font(s.won ? "Helvetica-Bold" : "Helvetica")
+        .fontSize(12)
+        .fillColor(s.lost ? COLORS.muted : COLORS.text)
+        .text(slotLabel(s.team), textX, s.y + 8, { lineBreak: false });
+    }
+
+    const ch = poster.champion;
+    doc.font("Helvetica").fontSize(12).fillColor(COLORS.muted).text("CHAMPION", ch.x, ch.y - 10, { lineBreak: false });
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(20)
+      .fillColor(COLORS.path)
+      .text(ch.team ? `#${ch.team.seed} ${clip(ch.team.title, 30)}` : "-", ch.x, ch.y + 10, { lineBreak: false });
+    doc.end();
+  });
+}
+
+module.exports = {
+  posterLayout,
+  posterSvg,
+  posterPdf,
+  svgToPng,
+  thumbnailPng
+};
@@ -0,0 +1,164 @@
+// Paired-comparison ranking (Bradley-Terry) fitted from ranked rounds.
+//
+// Every round orders k options; it is broken into k(k-1)/2 "i beat j" pairs.
+// Pairs are treated as independent comparisons, so intervals are somewhat
+// optimistic when the same voter ranks the same options many times.
+
+// Each option also plays a virtual opponent of strength 1 once won and once
+// lost. That keeps options that never win (or never lose) finite. Reported
+// strengths are centred: 0 is the average option in the pool.
+const PRIOR_GAMES = 1;
+
+const MAX_ITERATIONS = 1000;
+const TOLERANCE = 1e-7;
+const Z_95 = 1.96;
+
+// Group vote rows ({ tenant_id, round_id, option_id, rank, weight }) into
+// rounds: [{ optionIds: [best..worst], weights: [...] }]
+function roundsFromVotes(voteRows) {
+  const byRound = new Map();
+  for (const v of voteRows) {
+    const key = `${v.tenant_id}:${v.round_id}`;
+    if (!byRound.has(key)) byRound.set(key, []);
+    byRound.get(key).push(v);
+  }
+
+  return [...byRound.values()].map((votes) => {
+    votes.sort((a, b) => a.rank - b.rank);
+    return {
+      optionIds: votes.map((v) => v.option_id),
+      weights: votes.map((v) => Number(v.weight)),
+    };
+  });
+}
+
+// Weighted pairwise win counts: wins.get(i).get(j) = weight of "i beat j"
+function pairwiseWins(rounds) {
+  const wins = new Map();
+  const add = (i, j, w) => {
+    if (!wins.has(i)) wins.set(i, new Map());
+    const row = wins.get(i);
+    row.set(j, (row.get(j) || 0) + w);
+  };
+
+  for (const r of rounds) {
+    for (let a = 0; a < r.optionIds.length; a++) {
+      for (let b = a + 1; b < r.optionIds.length; b++) {
+        // a pair counts as much as its two votes on average
+        add(r.optionIds[a], r.optionIds[b], (r.weights[a] + r.weights[b]) / 2);
+      }
+    }
+  }
+  return wins;
+}
+
+// Fit Bradley-Terry strengths for optionIds from rounds.
+// Returns Map(optionId -> { strength, se, low, high, comparisons }) where
+// strength is log-scale and low/high is a 95% Wald interval.
+function fitBradleyTerry(rounds, optionIds) {
+  const ids = [...optionIds];
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const n = ids.length;
+
+  // games[i][j] = total weight of comparisons between i and j; winsOf[i] = total wins
+  const games = Array.from({ length: n }, () => new Float64Array(n));
+  const winsOf = new Float64Array(n);
+  for (const [i, row] of pairwiseWins(rounds)) {
+    for (const [j, w] of row) {
+      const a = index.get(i);
+      const b = index.get(j);
+      if (a === undefined || b === undefined) continue;
+      games[a][b] += w;
+      games[b][a] += w;
+      winsOf[a] += w;
+    }
+  }
+
+  // --- MM iterations (Hunter 2004) ---
+  let p = new Float64Array(n).fill(1);
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const next = new Float64Array(n);
+    let maxChange = 0;
+
+    for (let i = 0; i < n; i++) {
+      let denom = (2 * PRIOR_GAMES) / (p[i] + 1);
+      for (let j = 0; j < n; j++) {
+        if (games[i][j]) denom += games[i][j] / (p[i] + p[j]);
+      }
+      next[i] = (winsOf[i] + PRIOR_GAMES) / denom;
+      maxChange = Math.max(maxChange, Math.abs(Math.log(next[i] / p[i])));
+    }
+
+    p = next;
+    if (maxChange < TOLERANCE) break;
+  }
+
+  // --- Standard errors from the observed Fisher information on theta = log p ---
+  const info = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    info[i][i] += (2 * PRIOR_GAMES * p[i]) / (p[i] + 1) ** 2;
+    for (let j = i + 1; j < n; j++) {
+      if (!games[i][j]) continue;
+      const q = (games[i][j] * p[i] * p[j]) / (p[i] + p[j]) ** 2;
+      info[i][i] += q;
+      info[j][j] += q;
+      info[i][j] -= q;
+      info[j][i] -= q;
+    }
+  }
+  const cov = invert(info);
+
+  // Centre on the pool mean: Var(theta_i - mean) = cov_ii - 2 mean_j cov_ij + mean cov
+  const theta = Array.from(p, Math.log);
+  const meanTheta = theta.reduce((s, t) => s + t, 0) / (n || 1);
+  const rowMean = cov.map((row) => row.reduce((s, x) => s + x, 0) / n);
+  const grandMean = rowMean.reduce((s, x) => s + x, 0) / (n || 1);
+
+  const out = new Map();
+  ids.forEach((id, i) => {
+    const strength = theta[i] - meanTheta;
+    const se = Math.sqrt(Math.max(cov[i][i] - 2 * rowMean[i] + grandMean, 0));
+    let comparisons = 0;
+    for (let j = 0; j < n; j++) comparisons += games[i][j];
+    out.set(id, {
+      strength,
+      se,
+      low: strength - Z_95 * se,
+      high: strength + Z_95 * se,
+      comparisons,
+    });
+  });
+  return out;
+}
+
+// Gauss-Jordan inverse of a symmetric positive-definite matrix (array of rows)
+function invert(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => {
+    const r = new Float64Array(2 * n);
+    r.set(row);
+    r[n + i] = 1;
+    return r;
+  });
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const div = a[col][col];
+    for (let c = 0; c < 2 * n; c++) a[col][c] /= div;
+
+    for (let r = 0; r < n; r++) {
+      if (r === col || !a[r][col]) continue;
+      const f = a[r][col];
+      for (let c = 0; c < 2 * n; c++) a[r][c] -= f * a[col][c];
+    }
+  }
+
+  return a.map((r) => r.slice(n));
+}
+
+module.exports = { roundsFromVotes, pairwiseWins, fitBradleyTerry };
@@ -0,0 +1,37 @@
+// Written reviews and discussion on tracker visits. Each member who went can
+// keep one review per visit (only its author edits it); anyone logged in can
+// comment, and react to comments with one of REACTIONS.
+
+const MAX_REVIEW_LENGTH = 4000;
+const MAX_COMMENT_LENGTH = 1000;
+const REACTIONS = ["👍", "❤️", "😂", "🍔", "🔥"];
+
+// Review or comment text from a request body; { text } or { error }
+function parseText(raw, maxLength, what) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { error: `${what} can't be empty` };
+  if (text.length > maxLength) return { error: `${what} must be at most ${maxLength} characters` };
+  return { text };
+}
+
+function parseReview(raw) {
+  return parseText(raw, MAX_REVIEW_LENGTH, "Review");
+}
+
+function parseComment(raw) {
+  return parseText(raw, MAX_COMMENT_LENGTH, "Comment");
+}
+
+// Reaction rows [{ comment_id, emoji, tenant_id }] -> Map(commentId -> { emoji: [tenantId] })
+function groupReactions(rows) {
+  const byComment = new Map();
+  for (const r of rows) {
+    if (!byComment.has(r.comment_id)) byComment.set(r.comment_id, {});
+    const reactions = byComment.get(r.comment_id);
+    if (!reactions[r.emoji]) reactions[r.emoji] = [];
+    reactions[r.emoji].push(r.tenant_id);
+  }
+  return byComment;
+}
+
+module.exports = { MAX_REVIEW_LENGTH, MAX_COMMENT_LENGTH, REACTIONS, parseReview, parseComment, groupReactions };
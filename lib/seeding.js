@@ -0,0 +1,173 @@
+// Seeding strategies for bracket generation: which region and seed each
+// ranked entrant (best first, with location = neighbourhood and borough) gets.
+//
+//   straight  seed band k is dealt to regions A, B, ... in order
+//   snake     bands alternate direction (A-D, then D-A, ...) to balance regions
+//   borough   each region takes one or more boroughs; seeds follow rank inside it
+//   random    each band is dealt to the regions in a random order drawn from `seed`
+//
+// `apart` (0-2) then swaps entrants between regions, within their seed line,
+// to keep restaurants from one neighbourhood from meeting in the first
+// `apart` rounds wherever the field allows it.
+const { firstRoundPairs } = require("./madness");
+
+const SEEDING_STRATEGIES = ["straight", "snake", "borough", "random"];
+const MAX_APART_ROUNDS = 2;
+
+// { strategy: { name, seed?, apart } } or { error } from query/body fields strategy, seed, apart
+function parseSeedingStrategy(raw) {
+  const name = raw.strategy == null || raw.strategy === "" ? "straight" : String(raw.strategy);
+  const seed = raw.seed == null || raw.seed === "" ? 1 : Number(raw.seed);
+  const apart = raw.apart == null || raw.apart === "" ? 0 : Number(raw.apart);
+
+  if (!SEEDING_STRATEGIES.includes(name)) {
+    return { error: `strategy must be one of ${SEEDING_STRATEGIES.join(", ")}` };
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+    return { error: "seed must be a whole number from 0 to 4294967295" };
+  }
+  if (!Number.isInteger(apart) || apart < 0 || apart > MAX_APART_ROUNDS) {
+    return { error: `apart must be 0-${MAX_APART_ROUNDS}` };
+  }
+  return { strategy: { name, ...(name === "random" && { seed }), apart } };
+}
+
+// Deterministic PRNG (mulberry32): the same seed always gives the same draw
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// grid[region][seed - 1] = entrant; band k is dealt in the region order order(k)
+function dealBands(entrants, regionCount, order) {
+  const grid = Array.from({ length: regionCount }, () => []);
+  for (let k = 0; k * regionCount < entrants.length; k++) {
+    const regions = order(k);
+    entrants.slice(k * regionCount, (k + 1) * regionCount).forEach((e, i) => (grid[regions[i]][k] = e));
+  }
+  return grid;
+}
+
+// Boroughs go to regions biggest first (wrapping when there are more boroughs
+// than regions); an entrant whose region is full spills into the emptiest one.
+// Returns the grid and the borough order (for regionName)
+function dealBoroughs(entrants, regionCount, regionSize) {
+  const counts = new Map();
+  entrants.forEach((e) => counts.set(e.borough, (counts.get(e.borough) || 0) + 1));
+  const boroughs = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  const home = new Map(boroughs.map((b, i) => [b, i % regionCount]));
+
+  const grid = Array.from({ length: regionCount }, () => []);
+  for (const e of entrants) {
+    let r = home.get(e.borough);
+    if (grid[r].length >= regionSize) {
+      r = grid.reduce((best, slots, i) => (slots.length < grid[best].length ? i : best), 0);
+    }
+    grid[r].push(e);
+  }
+
+  return { grid, boroughs };
+}
+
+// A borough-seeded region is named after the boroughs it ended up with
+// (spill-over and keepApart swaps included), in borough order
+function regionName(slots, boroughs) {
+  const placed = new Set(slots.map((e) => e?.borough));
+  return boroughs.filter((b) => placed.has(b)).join(" / ");
+}
+
+// First round in which bracket positions p and q of one region can meet
+function meetingRound(p, q) {
+  let round = 1;
+  while (p >> round !== q >> round) round++;
+  return round;
+}
+
+// Best effort: swap same-seed entrants between regions while that cuts the
+// meetings between restaurants of one neighbourhood in the first `rounds`
+// rounds (the earlier the meeting, the more it counts)
+function keepApart(grid, regionSize, rounds) {
+  const position = [];
+  firstRoundPairs(regionSize)
+    .flat()
+    .forEach((seed, pos) => (position[seed - 1] = pos));
+  const hood = (e) => String(e?.location || "").trim().toLowerCase();
+  const cost = (r, s) => {
+    const e = grid[r][s];
+    if (!hood(e)) return 0;
+    return grid[r].reduce((sum, other, t) => {
+      if (t === s || hood(other) !== hood(e)) return sum;
+      return sum + Math.max(0, rounds + 1 - meetingRound(position[s], position[t]));
+    }, 0);
+  };
+
+  for (let pass = 0; pass < 10; pass++) {
+    let moved = false;
+    for (let r = 0; r < grid.length; r++) {
+      for (let s = 0; s < regionSize; s++) {
+        if (!cost(r, s)) continue;
+        for (let r2 = 0; r2 < grid.length; r2++) {
+          if (r2 === r) continue;
+          const before = cost(r, s) + cost(r2, s);
+          [grid[r][s], grid[r2][s]] = [grid[r2][s], grid[r][s]];
+          if (cost(r, s) + cost(r2, s) < before) {
+            moved = true;
+            break;
+          }
+          [grid[r][s], grid[r2][s]] = [grid[r2][s], grid[r][s]];
+        }
+      }
+    }
+    if (!moved) break;
+  }
+}
+
+// Seeded regions [{ name, size, teams: [{ ...entrant, seed }] }] for a bracket
+// shape ({ size, regions }). Entrants beyond `size` miss out; empty seeds are byes.
+function seedRegions(entrants, { size, regions: regionCount }, strategy) {
+  const regionSize = size / regionCount;
+  const field = entrants.slice(0, size);
+  const inOrder = Array.from({ length: regionCount }, (_, i) => i);
+  const random = prng(strategy.seed ?? 1);
+
+  let grid;
+  let boroughs = null;
+  if (strategy.name === "borough") {
+    ({ grid, boroughs } = dealBoroughs(field, regionCount, regionSize));
+  } else if (strategy.name === "snake") {
+    grid = dealBands(field, regionCount, (k) => (k % 2 ? [...inOrder].reverse() : inOrder));
+  } else if (strategy.name === "random") {
+    grid = dealBands(field, regionCount, () => shuffle(inOrder, random));
+  } else {
+    grid = dealBands(field, regionCount, () => inOrder);
+  }
+
+  if (strategy.apart) keepApart(grid, regionSize, Math.min(strategy.apart, Math.log2(regionSize)));
+
+  return grid.map((slots, i) => ({
+    name: (boroughs && regionName(slots, boroughs)) || `Bracket ${String.fromCharCode(65 + i)}`,
+    size: regionSize,
+    teams: slots.flatMap((e, s) => (e ? [{ ...e, seed: s + 1 }] : []))
+  }));
+}
+
+module.exports = {
+  SEEDING_STRATEGIES,
+  parseSeedingStrategy,
+  seedRegions
+};
@@ -0,0 +1,121 @@
+// Choosing which options to show in the next round.
+//
+// Candidates are rows with at least { id, title, times_ranked }. Every picker
+// returns [{ option, reason }] where reason explains the pick (for debugging).
+
+const COVERAGE_TARGET = 2;
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// --- coverage: options ranked < 2 times first, then fill randomly ---
+function pickCoverage(candidates, size) {
+  const need = shuffle(candidates.filter((c) => parseInt(c.times_ranked) < COVERAGE_TARGET));
+  const rest = shuffle(candidates.filter((c) => parseInt(c.times_ranked) >= COVERAGE_TARGET));
+
+  return [...need, ...rest].slice(0, size).map((option) => ({
+    option,
+    reason: {
+      strategy: "coverage",
+      text: parseInt(option.times_ranked) < COVERAGE_TARGET
+        ? `ranked ${option.times_ranked}× so far (target ${COVERAGE_TARGET})`
+        : "random fill"
+    }
+  }));
+}
+
+// How many rounds had both options of each pair: key "a:b" with a < b
+function sharedRoundCounts(rounds) {
+  const shared = new Map();
+  for (const r of rounds) {
+    const ids = [...r.optionIds].sort((a, b) => a - b);
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = `${ids[i]}:${ids[j]}`;
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+  }
+  return shared;
+}
+
+// --- adaptive: the set whose relative order is most uncertain for this tenant ---
+// A pair is uncertain when the strengths are close relative to their standard
+// errors and it has seldom (or never) been ranked together. The set is grown
+// greedily, each step adding the option with the most uncertainty against
+// the options already chosen. A little jitter keeps rounds from repeating.
+function pickAdaptive(candidates, size, { fit, rounds }) {
+  const shared = sharedRoundCounts(rounds);
+
+  const pairInfo = (a, b) => {
+    const fa = fit.get(a.id);
+    const fb = fit.get(b.id);
+    const gap = Math.abs(fa.strength - fb.strength);
+    const z = gap / Math.sqrt(fa.se ** 2 + fb.se ** 2 || 1);
+    const key = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+    const together = shared.get(key) || 0;
+    return {
+      gap,
+      together,
+      // closeness in (0, 1] times novelty in (0, 1]
+      score: Math.exp(-(z * z) / 2) / (1 + together)
+    };
+  };
+
+  const jitter = new Map(candidates.map((c) => [c.id, 1 + 0.1 * Math.random()]));
+  const chosen = [];
+  const reasons = new Map();
+
+  // seed with the single most uncertain pair
+  let best = null;
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i];
+      const b = candidates[j];
+      const score = pairInfo(a, b).score * jitter.get(a.id) * jitter.get(b.id);
+      if (!best || score > best.score) best = { a, b, score };
+    }
+  }
+  if (!best) return [];
+  chosen.push(best.a, best.b);
+
+  while (chosen.length < size) {
+    let next = null;
+    for (const c of candidates) {
+      if (chosen.includes(c)) continue;
+      const score = chosen.reduce((s, o) => s + pairInfo(c, o).score, 0) * jitter.get(c.id);
+      if (!next || score > next.score) next = { option: c, score };
+    }
+    if (!next) break;
+    chosen.push(next.option);
+  }
+
+  // explain each pick by its most uncertain partner in the set
+  for (const c of chosen) {
+    let partner = null;
+    for (const o of chosen) {
+      if (o === c) continue;
+      const info = pairInfo(c, o);
+      if (!partner || info.score > partner.info.score) partner = { option: o, info };
+    }
+    const { gap, together, score } = partner.info;
+    reasons.set(c.id, {
+      strategy: "adaptive",
+      partnerId: partner.option.id,
+      strengthGap: gap,
+      sharedRounds: together,
+      uncertainty: score,
+      text: `close to ${partner.option.title} (gap ${gap.toFixed(2)}), ` +
+        (together ? `ranked together ${together}×` : "never compared directly")
+    });
+  }
+
+  return shuffle(chosen).map((option) => ({ option, reason: reasons.get(option.id) }));
+}
+
+module.exports = { shuffle, sharedRoundCounts, pickCoverage, pickAdaptive };
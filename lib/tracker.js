@@ -0,0 +1,206 @@
+// Burger Club tracker records: the validation rules shared by the tracker modal
+// (POST/PUT /api/burger-club) and bulk import, plus CSV reading and writing.
+// A record is a visit (year, month, notes, guests) to a restaurant (name,
+// location, borough); a visit can also be attached to an existing restaurant.
+const BOROUGHS = ["Manhattan", "Brooklyn", "Queens", "Bronx", "Staten Island", "Other"];
+const YEAR_MIN = 2019;
+const YEAR_MAX = 2026;
+const RATING = "Best Burger Ever"; // fixed value per requirement
+
+// Import/export columns, in file order. attendees are member names ("; "-separated in CSV).
+const TRACKER_COLUMNS = [
+  "id",
+  "year",
+  "month",
+  "restaurant",
+  "location",
+  "borough",
+  "rating",
+  "attendees",
+  "guests",
+  "additional_notes",
+  "photo_url",
+  "created_at",
+  "updated_at"
+];
+
+// The visit fields alone: { visit: { year, month, rating, additional_notes, guests } } or { error }
+function parseVisit(raw) {
+  const b = raw || {};
+  const visit = {
+    year: Number(b.year),
+    month: String(b.month || "").trim(),
+    rating: RATING,
+    additional_notes: String(b.additional_notes || ""),
+    guests: String(b.guests || "")
+  };
+
+  if (!(visit.year >= YEAR_MIN && visit.year <= YEAR_MAX)) return { error: "Invalid year" };
+  if (!visit.month) return { error: "Month required" };
+  return { visit };
+}
+
+// A visit and its restaurant:
+// { record: { year, month, restaurant, location, borough, rating, additional_notes, guests } } or { error }
+function parseTrackerRecord(raw) {
+  const { visit, error } = parseVisit(raw);
+  if (error) return { error };
+
+  const b = raw || {};
+  const record = {
+    ...visit,
+    restaurant: String(b.restaurant || "").trim(),
+    location: String(b.location || "").trim(),
+    borough: String(b.borough || "")
+  };
+  if (!record.restaurant) return { error: "Restaurant required" };
+  if (!record.location) return { error: "Location required" };
+  if (!BOROUGHS.includes(record.borough)) return { error: "Invalid borough" };
+  return { record };
+}
+
+// Restaurant names match ignoring case and spacing ("Minetta  tavern" = "Minetta Tavern")
+function nameKey(name) {
+  return String(name ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Records count as duplicates when they log the same restaurant for the same month
+function duplicateKey(record) {
+  return [nameKey(record.restaurant), String(record.month).trim().toLowerCase(), record.year].join("|");
+}
+
+// Fields kept in a record's change history, as named in tracker rows
+const HISTORY_FIELDS = [
+  "restaurant",
+  "location",
+  "borough",
+  "year",
+  "month",
+  "attendees",
+  "guests",
+  "additional_notes",
+  "photo_url"
+];
+
+// Field-level differences between two tracker rows (either may be null):
+// { field: { from, to } }, only for fields that changed
+function diffRecords(before, after) {
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// Attendees of an imported row (member names or ids; an array or a "; "-separated
+// string) -> { ids } or { error }. tenants: [{ id, name }]
+function parseAttendeeList(raw, tenants) {
+  const items = Array.isArray(raw) ? raw : String(raw ?? "").split(";");
+  const byName = new Map(tenants.map((t) => [t.name.trim().toLowerCase(), t.id]));
+  const known = new Set(tenants.map((t) => t.id));
+
+  const ids = new Set();
+  for (const item of items) {
+    const s = String(item ?? "").trim();
+    if (!s) continue;
+    const id = /^\d+$/.test(s) ? Number(s) : byName.get(s.toLowerCase());
+    if (!known.has(id)) return { error: `Unknown attendee: ${s}` };
+    ids.add(id);
+  }
+  return { ids: [...ids] };
+}
+
+// Imported photo paths must be uploads under /burgers/ or http(s) URLs
+function parsePhotoUrl(raw) {
+  const url = String(raw ?? "").trim();
+  if (!url) return { photoUrl: null };
+  if (/^\/burgers\/[\w.-]+$/.test(url) || /^https?:\/\/\S+$/i.test(url)) return { photoUrl: url };
+  return { error: "photo_url must be a /burgers/ path or an http(s) URL" };
+}
+
+// Validate one imported row; { record, attendees, photoUrl, errors: [message] }
+function parseImportRow(raw, tenants) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: ["Not a record"] };
+
+  const { record, error } = parseTrackerRecord(raw);
+  if (error) errors.push(error);
+  const { ids, error: attendeeError } = parseAttendeeList(raw.attendees, tenants);
+  if (attendeeError) errors.push(attendeeError);
+  const { photoUrl, error: photoError } = parsePhotoUrl(raw.photo_url);
+  if (photoError) errors.push(photoError);
+
+  return { record, attendees: ids, photoUrl, errors };
+}
+
+// --- CSV (RFC 4180: quoted fields may hold commas, quotes and line breaks) ---
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns, ...rows.map((r) => columns.map((c) => r[c]))];
+  return lines.map((line) => line.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// CSV text with a header row -> { rows: [{ column: value }] } or { error }
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  const s = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === ",") {
+      record.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) return { error: "Unterminated quoted field" };
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((f) => f.trim() !== ""));
+  if (!nonEmpty.length) return { error: "No header row" };
+  const header = nonEmpty[0].map((h) => h.trim());
+  if (!header.includes("restaurant")) return { error: "Missing restaurant column" };
+  return { rows: nonEmpty.slice(1).map((r) => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ""]))) };
+}
+
+module.exports = {
+  TRACKER_COLUMNS,
+  parseVisit,
+  parseTrackerRecord,
+  nameKey,
+  duplicateKey,
+  diffRecords,
+  parseImportRow,
+  toCsv,
+  parseCsv
+};
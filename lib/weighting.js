@@ -0,0 +1,121 @@
+// Attendance weighting: how much a vote counts, depending on whether the
+// voter went to that burger club visit.
+//
+// A policy is { attended, notAttended, guest, excludeNotAttended }. Each vote
+// records the voter's status for its option and stores weightFor(policy, status).
+// Votes with weight 0 stay on record but drop out of every ranking. Statuses
+// follow the current attendance data: they are re-derived whenever attendance
+// or the policy change (the server) or a role changes (scripts/set-role.js).
+
+const VOTER_STATUSES = ["attended", "absent", "guest"];
+const MAX_WEIGHT = 10;
+
+const DEFAULT_POLICY = {
+  attended: 1,
+  notAttended: 0.5,
+  guest: 0.5,
+  excludeNotAttended: false
+};
+
+// Guests always get the guest weight; members depend on the attendance record
+function voterStatus({ attended, role }) {
+  if (role === "guest") return "guest";
+  return attended ? "attended" : "absent";
+}
+
+// SQL twin of voterStatus(): `role` is a role column, `attended` a boolean expression
+function voterStatusSql(role, attended) {
+  return `CASE WHEN ${role} = 'guest' THEN 'guest' WHEN ${attended} THEN 'attended' ELSE 'absent' END`;
+}
+
+function weightFor(policy, status) {
+  if (status === "attended") return policy.attended;
+  if (status === "guest") return policy.guest;
+  return policy.excludeNotAttended ? 0 : policy.notAttended;
+}
+
+// Validate a policy from a request body; { policy } or { error }
+function parsePolicy(raw) {
+  if (!raw || typeof raw !== "object") return { error: "Invalid policy" };
+
+  const policy = { ...DEFAULT_POLICY };
+  for (const key of ["attended", "notAttended", "guest"]) {
+    if (raw[key] == null) continue;
+    const n = Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_WEIGHT) {
+      return { error: `${key} must be a number from 0 to ${MAX_WEIGHT}` };
+    }
+    policy[key] = n;
+  }
+  if (raw.excludeNotAttended != null) policy.excludeNotAttended = Boolean(raw.excludeNotAttended);
+
+  if (policy.attended <= 0) return { error: "attended must be greater than 0" };
+  return { policy };
+}
+
+// SQL condition: `tenant` attended the visit `option` (SQL expressions). When
+// `rankBy` (SQL) is 'restaurants', a visit to the same restaurant counts too.
+function attendedSql(tenant, option, rankBy) {
+  return `EXISTS (SELECT 1 FROM attendance a
+    JOIN burger_club x ON x.id = a.burger_club_id
+    WHERE a.tenant_id = ${tenant}
+      AND (x.id = ${option} OR (${rankBy} = 'restaurants' AND x.deleted_at IS NULL
+        AND x.restaurant_id = (SELECT restaurant_id FROM burger_club WHERE id = ${option}))))`;
+}
+
+// Every vote in ballot $4 with the status and weight it should have under current
+// attendance, roles and the ballot's policy ($1-$3); $5 limits it to the votes
+// on one tracker row and the other visits to its restaurant, $6 to one tenant's votes
+function expectedVotesSql() {
+  return `
+    SELECT x.*,
+      CASE x.expected_status WHEN 'attended' THEN $1::real WHEN 'guest' THEN $2::real ELSE $3::real END
+        AS expected_weight
+    FROM (
+      SELECT v.id, v.tenant_id, v.option_id, v.round_id, v.voter_status, v.weight,
+        ${voterStatusSql("t.role", attendedSql("v.tenant_id", "v.option_id", "bl.rank_by"))} AS expected_status
+      FROM votes v
+      JOIN tenants t ON t.id = v.tenant_id
+      JOIN ballots bl ON bl.id = v.ballot_id
+      WHERE v.ballot_id = $4
+        AND ($5::int IS NULL OR v.option_id IN (
+          SELECT id FROM burger_club WHERE restaurant_id = (SELECT restaurant_id FROM burger_club WHERE id = $5)
+        ))
+        AND ($6::int IS NULL OR v.tenant_id = $6)
+    ) x`;
+}
+
+// Parameters for expectedVotesSql(); ballot: { id, weighting }
+function expectedVotesParams(ballot, optionId = null, tenantId = null) {
+  const policy = ballot.weighting;
+  return [
+    weightFor(policy, "attended"),
+    weightFor(policy, "guest"),
+    weightFor(policy, "absent"),
+    ballot.id,
+    optionId,
+    tenantId
+  ];
+}
+
+// Bring stored statuses and weights in line with expectedVotesSql() (same parameters)
+function reweightVotesSql() {
+  return `
+    UPDATE votes v
+    SET voter_status = e.expected_status, weight = e.expected_weight
+    FROM (${expectedVotesSql()}) e
+    WHERE v.id = e.id AND (v.voter_status <> e.expected_status OR v.weight <> e.expected_weight)`;
+}
+
+module.exports = {
+  VOTER_STATUSES,
+  DEFAULT_POLICY,
+  voterStatus,
+  voterStatusSql,
+  weightFor,
+  parsePolicy,
+  attendedSql,
+  expectedVotesSql,
+  expectedVotesParams,
+  reweightVotesSql
+};
@@ -0,0 +1,115 @@
+const path = require("path");
+const fs = require("fs");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Arbitrary app-wide key so two servers starting at once don't race each other
+const MIGRATION_LOCK_KEY = 7311001;
+
+// --- Load migration files: migrations/<number>_<name>.js exporting up(client) ---
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => f.endsWith(".js"));
+  const migrations = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const m = file.match(/^(\d+)_(.+)\.js$/);
+    if (!m) throw new Error(`Bad migration filename: ${file}`);
+
+    const version = Number(m[1]);
+    if (seen.has(version)) throw new Error(`Duplicate migration version ${version}`);
+    seen.add(version);
+
+    const mod = require(path.join(MIGRATIONS_DIR, file));
+    if (typeof mod.up !== "function") throw new Error(`Migration ${file} has no up()`);
+
+    migrations.push({ version, name: m[2], up: mod.up });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  const result = await db.query("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(result.rows.map((r) => r.version));
+}
+
+// --- List migrations that have not been applied yet (does not change anything) ---
+async function pendingMigrations(pool) {
+  const exists = await pool.query("SELECT to_regclass('public.schema_migrations') AS t");
+  const applied = exists.rows[0].t ? await appliedVersions(pool) : new Set();
+  return loadMigrations().filter((m) => !applied.has(m.version));
+}
+
+// --- Apply every pending migration in order, one transaction each ---
+async function runMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    const applied = await appliedVersions(client);
+    const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+    for (const m of pending) {
+      try {
+        await client.query("BEGIN");
+        await m.up(client);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+          [m.version, m.name]
+        );
+        await client.query("COMMIT");
+        console.log(`Applied migration ${m.version} (${m.name})`);
+      } catch (err) {
+        await client.query("ROLLBACK");
+        err.message = `Migration ${m.version} (${m.name}) failed: ${err.message}`;
+        throw err;
+      }
+    }
+
+    return pending.map((m) => m.version);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { loadMigrations, pendingMigrations, runMigrations };
+
+// --- CLI: `node migrate.js` applies, `node migrate.js --check` only reports ---
+if (require.main === module) {
+  const { pool } = require("./db");
+  const checkOnly = process.argv.includes("--check");
+
+  (async () => {
+    if (checkOnly) {
+      const pending = await pendingMigrations(pool);
+      if (!pending.length) {
+        console.log("Database is up to date.");
+      } else {
+        console.log(`${pending.length} pending migration(s):`);
+        pending.forEach((m) => console.log(`  ${m.version} ${m.name}`));
+        process.exitCode = 1;
+      }
+    } else {
+      const applied = await runMigrations(pool);
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Nothing to apply.");
+    }
+  })()
+    .catch((err) => {
+      console.error(err);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
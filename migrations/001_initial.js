@@ -0,0 +1,111 @@
+const path = require("path");
+const fs = require("fs");
+
+const OPTIONS_PATH = path.join(__dirname, "..", "data", "options.json");
+
+// Initial schema (formerly initDb). Everything is IF NOT EXISTS / seed-if-empty
+// so databases created before migrations existed are adopted as-is.
+async function up(client) {
+  // --- Schema ---
+  await client.query(`
+CREATE TABLE IF NOT EXISTS tenants (
+  id SERIAL PRIMARY KEY,
+  name TEXT UNIQUE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS options (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  month TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  location TEXT NOT NULL,
+  photo_url TEXT NOT NULL,
+  additional_notes TEXT NOT NULL,
+  attendees TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS votes (
+  id SERIAL PRIMARY KEY,
+  tenant_id INTEGER NOT NULL,
+  round_id TEXT NOT NULL,
+  option_id INTEGER NOT NULL,
+  rank INTEGER NOT NULL CHECK(rank BETWEEN 1 AND 5),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  weight REAL NOT NULL DEFAULT 1,
+  FOREIGN KEY(tenant_id) REFERENCES tenants(id),
+  FOREIGN KEY(option_id) REFERENCES options(id)
+);
+CREATE INDEX IF NOT EXISTS idx_votes_tenant_option ON votes(tenant_id, option_id);
+CREATE INDEX IF NOT EXISTS idx_votes_created ON votes(created_at);
+`);
+
+  // --- Burger Club Tracker table ---
+  await client.query(`
+CREATE TABLE IF NOT EXISTS burger_club (
+  id SERIAL PRIMARY KEY,
+  year INTEGER NOT NULL CHECK(year BETWEEN 2019 AND 2026),
+  month TEXT NOT NULL,
+  restaurant TEXT NOT NULL,
+  location TEXT NOT NULL,
+  borough TEXT NOT NULL CHECK(borough IN ('Manhattan','Brooklyn','Queens','Bronx','Staten Island','Other')),
+  rating TEXT NOT NULL DEFAULT 'Best Burger Ever',
+
+  paul INTEGER NOT NULL DEFAULT 0 CHECK(paul IN (0,1)),
+  job  INTEGER NOT NULL DEFAULT 0 CHECK(job  IN (0,1)),
+  john INTEGER NOT NULL DEFAULT 0 CHECK(john IN (0,1)),
+  andrew INTEGER NOT NULL DEFAULT 0 CHECK(andrew IN (0,1)),
+  jj   INTEGER NOT NULL DEFAULT 0 CHECK(jj   IN (0,1)),
+  joe  INTEGER NOT NULL DEFAULT 0 CHECK(joe  IN (0,1)),
+
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  photo_url TEXT,
+  additional_notes TEXT,
+  guests TEXT
+);
+`);
+
+  await client.query("CREATE INDEX IF NOT EXISTS idx_burger_club_year ON burger_club(year);");
+
+  // --- Seed Tenants ---
+  const tenantCount = await client.query("SELECT COUNT(*)::int AS n FROM tenants");
+  if (tenantCount.rows[0].n === 0) {
+    const names = [
+      "Andrew King",
+      "Paul Morse",
+      "John Wainwright",
+      "Joe Wainwright",
+      "Job Gregory",
+      "JJ Greco"
+    ];
+    for (const name of names) {
+      await client.query("INSERT INTO tenants (name) VALUES ($1)", [name]);
+    }
+    console.log(`Seeded tenants: ${names.length}`);
+  }
+
+  // --- Seed options from JSON ---
+  const optionCount = await client.query("SELECT COUNT(*)::int AS n FROM options");
+  if (optionCount.rows[0].n === 0) {
+    const raw = fs.readFileSync(OPTIONS_PATH, "utf-8");
+    const options = JSON.parse(raw);
+
+    if (!Array.isArray(options) || options.length !== 64) {
+      console.warn(
+        `WARNING: options.json must contain exactly 64 items. Found ${options?.length}.`
+      );
+    }
+
+    for (const opt of options) {
+      await client.query(`
+        INSERT INTO options (id, title, month, year, location, photo_url, additional_notes, attendees)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [opt.id, opt.title, opt.month, opt.year, opt.location, opt.photoUrl, opt.Additional_Notes, opt.Attendees]);
+    }
+    // ids were inserted explicitly, so move the sequence past them
+    await client.query("SELECT setval(pg_get_serial_sequence('options', 'id'), COALESCE(MAX(id), 1)) FROM options");
+    console.log(`Seeded options: ${options.length}`);
+  }
+}
+
+module.exports = { up };
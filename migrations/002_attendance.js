@@ -0,0 +1,59 @@
+// Replace the per-member boolean columns on burger_club with an attendance
+// join table, and move tenant photos from app.js into the tenants table.
+const LEGACY_COLUMNS = {
+  paul: "Paul Morse",
+  job: "Job Gregory",
+  john: "John Wainwright",
+  andrew: "Andrew King",
+  jj: "JJ Greco",
+  joe: "Joe Wainwright",
+};
+
+const TENANT_PHOTOS = {
+  "Andrew King": "/tenants/andrew.jpg",
+  "Paul Morse": "/tenants/paul.jpg",
+  "John Wainwright": "/tenants/john.jpg",
+  "Joe Wainwright": "/tenants/joe.jpg",
+  "Job Gregory": "/tenants/job.jpg",
+  "JJ Greco": "/tenants/jj.jpg",
+};
+
+async function up(client) {
+  await client.query(`
+CREATE TABLE attendance (
+  burger_club_id INTEGER NOT NULL REFERENCES burger_club(id) ON DELETE CASCADE,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  PRIMARY KEY (burger_club_id, tenant_id)
+);
+CREATE INDEX idx_attendance_tenant ON attendance(tenant_id);
+
+ALTER TABLE tenants ADD COLUMN photo_url TEXT;
+`);
+
+  for (const [name, photo] of Object.entries(TENANT_PHOTOS)) {
+    await client.query("UPDATE tenants SET photo_url = $1 WHERE name = $2", [photo, name]);
+  }
+
+  // --- Copy legacy flags into attendance ---
+  for (const [column, name] of Object.entries(LEGACY_COLUMNS)) {
+    const res = await client.query(
+      `INSERT INTO attendance (burger_club_id, tenant_id)
+       SELECT b.id, t.id FROM burger_club b JOIN tenants t ON t.name = $1
+       WHERE b.${column} = 1`,
+      [name]
+    );
+    if (res.rowCount) console.log(`Migrated attendance for ${name}: ${res.rowCount}`);
+  }
+
+  await client.query(`
+ALTER TABLE burger_club
+  DROP COLUMN paul,
+  DROP COLUMN job,
+  DROP COLUMN john,
+  DROP COLUMN andrew,
+  DROP COLUMN jj,
+  DROP COLUMN joe;
+`);
+}
+
+module.exports = { up };
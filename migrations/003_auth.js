@@ -0,0 +1,17 @@
+// Per-tenant credentials and server-side sessions (cookie holds the session id).
+// Existing tenants start without a password; set one with `npm run set-password`.
+async function up(client) {
+  await client.query(`
+ALTER TABLE tenants ADD COLUMN password_hash TEXT;
+
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+CREATE INDEX idx_sessions_tenant ON sessions(tenant_id);
+`);
+}
+
+module.exports = { up };
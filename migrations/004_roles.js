@@ -0,0 +1,21 @@
+// Tenant roles plus a log of admin actions (deletes, acting on behalf of a member).
+async function up(client) {
+  await client.query(`
+ALTER TABLE tenants ADD COLUMN role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('admin','member'));
+
+CREATE TABLE admin_actions (
+  id SERIAL PRIMARY KEY,
+  actor_id INTEGER NOT NULL REFERENCES tenants(id),
+  on_behalf_of INTEGER REFERENCES tenants(id),
+  action TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_admin_actions_created ON admin_actions(created_at);
+`);
+
+  // Site owner starts as the only admin; promote others with `npm run set-role`
+  await client.query("UPDATE tenants SET role = 'admin' WHERE name = 'Andrew King'");
+}
+
+module.exports = { up };
@@ -0,0 +1,28 @@
+// Server-issued rounds: which options a tenant was offered, when, and whether
+// the round has been submitted. Existing votes are backfilled as legacy rounds.
+async function up(client) {
+  await client.query(`
+CREATE TABLE rounds (
+  id TEXT PRIMARY KEY,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  option_ids INTEGER[] NOT NULL,
+  strategy TEXT NOT NULL,
+  reasons JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  submitted_at TIMESTAMP
+);
+CREATE INDEX idx_rounds_tenant_open ON rounds(tenant_id, created_at) WHERE submitted_at IS NULL;
+
+INSERT INTO rounds (id, tenant_id, option_ids, strategy, created_at, expires_at, submitted_at)
+SELECT round_id, MIN(tenant_id), ARRAY_AGG(option_id ORDER BY rank), 'legacy',
+       MIN(created_at), MIN(created_at), MIN(created_at)
+FROM votes
+GROUP BY round_id;
+
+ALTER TABLE votes
+  ADD CONSTRAINT votes_round_id_fkey FOREIGN KEY (round_id) REFERENCES rounds(id) ON DELETE CASCADE;
+`);
+}
+
+module.exports = { up };
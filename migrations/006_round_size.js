@@ -0,0 +1,14 @@
+// Rounds are no longer fixed at five options: each vote records the size of
+// the round it came from, and its rank is checked against that size.
+async function up(client) {
+  await client.query(`
+ALTER TABLE votes ADD COLUMN round_size INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE votes DROP CONSTRAINT IF EXISTS votes_rank_check;
+ALTER TABLE votes
+  ADD CONSTRAINT votes_round_size_check CHECK (round_size BETWEEN 3 AND 8),
+  ADD CONSTRAINT votes_rank_check CHECK (rank BETWEEN 1 AND round_size);
+ALTER TABLE votes ALTER COLUMN round_size DROP DEFAULT;
+`);
+}
+
+module.exports = { up };
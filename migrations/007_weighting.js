@@ -0,0 +1,28 @@
+// Configurable vote weighting: a settings table holding the weighting policy,
+// a guest role, and each vote's voter status so weights can be recomputed
+// when the policy changes.
+async function up(client) {
+  await client.query(`
+CREATE TABLE settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE tenants DROP CONSTRAINT IF EXISTS tenants_role_check;
+ALTER TABLE tenants ADD CONSTRAINT tenants_role_check CHECK(role IN ('admin','member','guest'));
+
+ALTER TABLE votes ADD COLUMN voter_status TEXT;
+UPDATE votes SET voter_status = CASE WHEN weight >= 1 THEN 'attended' ELSE 'absent' END;
+ALTER TABLE votes ALTER COLUMN voter_status SET NOT NULL;
+ALTER TABLE votes ADD CONSTRAINT votes_voter_status_check CHECK(voter_status IN ('attended','absent','guest'));
+`);
+
+  // Same weights /api/vote has always used
+  await client.query(
+    "INSERT INTO settings (key, value) VALUES ('weighting', $1)",
+    [{ attended: 1, notAttended: 0.5, guest: 0.5, excludeNotAttended: false }]
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,37 @@
+// Ballots: separate ranking campaigns, each with its own option pool, dates,
+// round size and weighting. Everything voted so far becomes the "All-time"
+// ballot, which takes over the global weighting policy.
+async function up(client) {
+  await client.query(`
+CREATE TABLE ballots (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  option_filter JSONB NOT NULL DEFAULT '{}',
+  opens_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  closes_at TIMESTAMP,
+  round_size INTEGER NOT NULL DEFAULT 5 CHECK(round_size BETWEEN 3 AND 8),
+  weighting JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK(closes_at IS NULL OR closes_at > opens_at)
+);
+
+INSERT INTO ballots (name, opens_at, weighting)
+SELECT 'All-time',
+       LEAST(NOW(), COALESCE((SELECT MIN(created_at) FROM rounds), NOW())),
+       COALESCE((SELECT value FROM settings WHERE key = 'weighting'),
+                '{"attended":1,"notAttended":0.5,"guest":0.5,"excludeNotAttended":false}');
+
+ALTER TABLE rounds ADD COLUMN ballot_id INTEGER REFERENCES ballots(id) ON DELETE CASCADE;
+UPDATE rounds SET ballot_id = (SELECT id FROM ballots WHERE name = 'All-time');
+ALTER TABLE rounds ALTER COLUMN ballot_id SET NOT NULL;
+
+ALTER TABLE votes ADD COLUMN ballot_id INTEGER REFERENCES ballots(id) ON DELETE CASCADE;
+UPDATE votes SET ballot_id = (SELECT id FROM ballots WHERE name = 'All-time');
+ALTER TABLE votes ALTER COLUMN ballot_id SET NOT NULL;
+CREATE INDEX idx_votes_ballot_tenant ON votes(ballot_id, tenant_id);
+
+DROP TABLE settings;
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,22 @@
+// Saved March Madness brackets: one per tenant per ballot seeding, with the
+// seeding layout it was picked against so it can be shown after the ranking moves.
+async function up(client) {
+  await client.query(`
+CREATE TABLE madness_brackets (
+  id SERIAL PRIMARY KEY,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  ballot_id INTEGER NOT NULL REFERENCES ballots(id) ON DELETE CASCADE,
+  method TEXT NOT NULL,
+  seeding_key TEXT NOT NULL,
+  seeding JSONB NOT NULL,
+  picks JSONB NOT NULL DEFAULT '{}',
+  undo JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (tenant_id, ballot_id, seeding_key)
+);
+CREATE INDEX idx_madness_brackets_ballot ON madness_brackets(ballot_id);
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,46 @@
+// Group tournaments: the March Madness bracket played as head-to-head polls.
+// Games open round by round; each tenant votes once per game.
+async function up(client) {
+  await client.query(`
+CREATE TABLE tournaments (
+  id SERIAL PRIMARY KEY,
+  ballot_id INTEGER NOT NULL REFERENCES ballots(id) ON DELETE CASCADE,
+  method TEXT NOT NULL,
+  seeding_key TEXT NOT NULL,
+  seeding JSONB NOT NULL,
+  round_hours INTEGER NOT NULL CHECK(round_hours > 0),
+  current_round TEXT,
+  champion_id INTEGER,
+  created_by INTEGER REFERENCES tenants(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+CREATE UNIQUE INDEX idx_tournaments_running ON tournaments(ballot_id) WHERE finished_at IS NULL;
+
+CREATE TABLE tournament_games (
+  tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+  game_id TEXT NOT NULL,
+  round TEXT NOT NULL,
+  team_a INTEGER,
+  team_b INTEGER,
+  opens_at TIMESTAMP,
+  deadline TIMESTAMP,
+  winner_id INTEGER,
+  decided_at TIMESTAMP,
+  decided_by TEXT CHECK(decided_by IN ('votes','deadline','bye')),
+  PRIMARY KEY (tournament_id, game_id)
+);
+
+CREATE TABLE tournament_votes (
+  tournament_id INTEGER NOT NULL,
+  game_id TEXT NOT NULL,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  pick_id INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tournament_id, game_id, tenant_id),
+  FOREIGN KEY (tournament_id, game_id) REFERENCES tournament_games(tournament_id, game_id) ON DELETE CASCADE
+);
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,10 @@
+// Uploaded photos are stored in two sizes: photo_url is the display-size
+// image, photo_thumb_url a small thumbnail for tables and posters. Photos from
+// before the upload pipeline have no thumbnail.
+async function up(client) {
+  await client.query(`
+ALTER TABLE burger_club ADD COLUMN photo_thumb_url TEXT;
+`);
+}
+
+module.exports = { up };
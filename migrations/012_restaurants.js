@@ -0,0 +1,63 @@
+// Separate the place from the visit: restaurants hold name, location and
+// borough, and each burger_club row becomes one visit to a restaurant.
+// Existing rows with the same name (ignoring case and spacing) are merged into
+// one restaurant, taking location and borough from its latest visit. Ballots
+// choose whether they rank visits (as before) or restaurants.
+async function up(client) {
+  await client.query(`
+CREATE TABLE restaurants (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  location TEXT NOT NULL,
+  borough TEXT NOT NULL CHECK(borough IN ('Manhattan','Brooklyn','Queens','Bronx','Staten Island','Other')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_restaurants_name ON restaurants(LOWER(name));
+
+ALTER TABLE burger_club ADD COLUMN restaurant_id INTEGER REFERENCES restaurants(id);
+`);
+
+  const rows = await client.query(
+    `SELECT id, restaurant, location, borough, created_at,
+       LOWER(REGEXP_REPLACE(TRIM(restaurant), '\\s+', ' ', 'g')) AS name_key
+     FROM burger_club
+     ORDER BY year DESC, id DESC`
+  );
+
+  // First row per name is the latest visit
+  const visitsByName = new Map();
+  for (const r of rows.rows) {
+    if (!visitsByName.has(r.name_key)) visitsByName.set(r.name_key, []);
+    visitsByName.get(r.name_key).push(r);
+  }
+
+  for (const visits of visitsByName.values()) {
+    const latest = visits[0];
+    const created = visits.reduce((min, v) => (v.created_at < min ? v.created_at : min), latest.created_at);
+    const res = await client.query(
+      `INSERT INTO restaurants (name, location, borough, created_at) VALUES ($1, $2, $3, $4) RETURNING id`,
+      [latest.restaurant.trim(), latest.location, latest.borough, created]
+    );
+    await client.query("UPDATE burger_club SET restaurant_id = $1 WHERE id = ANY($2::int[])", [
+      res.rows[0].id,
+      visits.map((v) => v.id)
+    ]);
+    if (visits.length > 1) {
+      console.log(`Merged ${visits.length} visits into restaurant "${latest.restaurant.trim()}"`);
+    }
+  }
+
+  await client.query(`
+ALTER TABLE burger_club ALTER COLUMN restaurant_id SET NOT NULL;
+CREATE INDEX idx_burger_club_restaurant ON burger_club(restaurant_id);
+ALTER TABLE burger_club
+  DROP COLUMN restaurant,
+  DROP COLUMN location,
+  DROP COLUMN borough;
+
+ALTER TABLE ballots ADD COLUMN rank_by TEXT NOT NULL DEFAULT 'visits' CHECK(rank_by IN ('visits','restaurants'));
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,87 @@
+// Votes reference tracker visits: /api/next and /api/vote have always used
+// burger_club ids, but votes.option_id still pointed at the legacy options
+// table. Votes on an id the tracker doesn't have are matched to the visit with
+// the same restaurant name, month and year as the legacy option; the rest move
+// to orphaned_votes for review. Ids where the legacy option and the visit
+// disagree are reported and keep pointing at the visit (which is what the app
+// has been showing). Deleting a visit with votes is then refused by the
+// database, and the options table goes.
+const nameKey = (col) => `LOWER(REGEXP_REPLACE(TRIM(${col}), '\\s+', ' ', 'g'))`;
+
+async function up(client) {
+  // Legacy options whose id has no visit -> the single visit they describe, if any
+  const remap = await client.query(`
+    SELECT o.id AS old_id, o.title, o.month, o.year, MIN(b.id) AS new_id, COUNT(b.id)::int AS matches
+    FROM options o
+    LEFT JOIN (burger_club b JOIN restaurants r ON r.id = b.restaurant_id)
+      ON ${nameKey("r.name")} = ${nameKey("o.title")}
+     AND LOWER(TRIM(b.month)) = LOWER(TRIM(o.month))
+     AND b.year = o.year
+    WHERE o.id IN (SELECT option_id FROM votes)
+      AND NOT EXISTS (SELECT 1 FROM burger_club x WHERE x.id = o.id)
+    GROUP BY o.id`
+  );
+
+  for (const r of remap.rows) {
+    if (r.matches !== 1) continue;
+    const moved = await client.query("UPDATE votes SET option_id = $1 WHERE option_id = $2", [r.new_id, r.old_id]);
+    await client.query(
+      "UPDATE rounds SET option_ids = ARRAY_REPLACE(option_ids, $2, $1) WHERE $2 = ANY(option_ids)",
+      [r.new_id, r.old_id]
+    );
+    console.log(`Moved ${moved.rowCount} votes from legacy option ${r.old_id} to visit ${r.new_id} (${r.title})`);
+  }
+
+  const mismatched = await client.query(`
+    SELECT o.id, o.title, o.month, o.year, r.name, b.month AS visit_month, b.year AS visit_year
+    FROM options o
+    JOIN burger_club b ON b.id = o.id
+    JOIN restaurants r ON r.id = b.restaurant_id
+    WHERE o.id IN (SELECT option_id FROM votes)
+      AND (${nameKey("r.name")} <> ${nameKey("o.title")}
+        OR LOWER(TRIM(b.month)) <> LOWER(TRIM(o.month))
+        OR b.year <> o.year)
+    ORDER BY o.id`
+  );
+  for (const m of mismatched.rows) {
+    console.log(
+      `Id ${m.id}: legacy option "${m.title}" (${m.month} ${m.year}) vs visit "${m.name}" ` +
+        `(${m.visit_month} ${m.visit_year}); votes stay on the visit`
+    );
+  }
+
+  await client.query(`
+CREATE TABLE orphaned_votes (
+  LIKE votes,
+  reason TEXT NOT NULL,
+  orphaned_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+`);
+  const orphaned = await client.query(`
+    WITH gone AS (
+      DELETE FROM votes v
+      WHERE NOT EXISTS (SELECT 1 FROM burger_club b WHERE b.id = v.option_id)
+      RETURNING v.*
+    )
+    INSERT INTO orphaned_votes
+    SELECT gone.*, 'No tracker visit for option ' || gone.option_id FROM gone`
+  );
+  if (orphaned.rowCount) console.log(`Moved ${orphaned.rowCount} votes without a tracker visit to orphaned_votes`);
+
+  // The original FK was declared inline, so look its name up rather than assume it
+  const fk = await client.query(`
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'votes'::regclass AND confrelid = 'options'::regclass AND contype = 'f'`
+  );
+  for (const c of fk.rows) await client.query(`ALTER TABLE votes DROP CONSTRAINT "${c.conname}"`);
+
+  await client.query(`
+ALTER TABLE votes
+  ADD CONSTRAINT votes_option_id_fkey FOREIGN KEY (option_id) REFERENCES burger_club(id) ON DELETE RESTRICT;
+CREATE INDEX idx_votes_option ON votes(option_id);
+
+DROP TABLE options;
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,24 @@
+// Tracker records are soft-deleted into a trash (and can be restored), and
+// every change to one is kept as field-level before/after values with who
+// made it and when. changes: { field: { from, to } }.
+async function up(client) {
+  await client.query(`
+ALTER TABLE burger_club
+  ADD COLUMN deleted_at TIMESTAMP,
+  ADD COLUMN deleted_by INTEGER REFERENCES tenants(id);
+CREATE INDEX idx_burger_club_deleted ON burger_club(deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE TABLE burger_club_history (
+  id SERIAL PRIMARY KEY,
+  burger_club_id INTEGER NOT NULL REFERENCES burger_club(id) ON DELETE CASCADE,
+  action TEXT NOT NULL CHECK(action IN ('create','update','photo','delete','restore')),
+  changes JSONB NOT NULL DEFAULT '{}',
+  actor_id INTEGER REFERENCES tenants(id),
+  on_behalf_of INTEGER REFERENCES tenants(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_burger_club_history_record ON burger_club_history(burger_club_id, created_at);
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,36 @@
+// Multi-criteria scores (see lib/criteria.js): the configurable criteria with
+// their weights, and each member's score per criterion per visit. Starts with
+// patty, bun, toppings, fries, value and vibe, all weighted 1.
+async function up(client) {
+  await client.query(`
+CREATE TABLE criteria (
+  id SERIAL PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  label TEXT NOT NULL,
+  weight REAL NOT NULL DEFAULT 1 CHECK(weight BETWEEN 0 AND 10),
+  position INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO criteria (key, label, position) VALUES
+  ('patty', 'Patty', 1),
+  ('bun', 'Bun', 2),
+  ('toppings', 'Toppings', 3),
+  ('fries', 'Fries', 4),
+  ('value', 'Value', 5),
+  ('vibe', 'Vibe', 6);
+
+CREATE TABLE visit_scores (
+  burger_club_id INTEGER NOT NULL REFERENCES burger_club(id) ON DELETE CASCADE,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  criterion_id INTEGER NOT NULL REFERENCES criteria(id) ON DELETE CASCADE,
+  score SMALLINT NOT NULL CHECK(score BETWEEN 1 AND 10),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (burger_club_id, tenant_id, criterion_id)
+);
+CREATE INDEX idx_visit_scores_tenant ON visit_scores(tenant_id);
+`);
+}
+
+module.exports = { up };
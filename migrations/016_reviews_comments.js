@@ -0,0 +1,35 @@
+// Per-member reviews of a visit (one each, editable by the author) and a
+// comment thread under each visit with emoji reactions (see lib/reviews.js).
+async function up(client) {
+  await client.query(`
+CREATE TABLE visit_reviews (
+  id SERIAL PRIMARY KEY,
+  burger_club_id INTEGER NOT NULL REFERENCES burger_club(id) ON DELETE CASCADE,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (burger_club_id, tenant_id)
+);
+
+CREATE TABLE visit_comments (
+  id SERIAL PRIMARY KEY,
+  burger_club_id INTEGER NOT NULL REFERENCES burger_club(id) ON DELETE CASCADE,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX idx_visit_comments_visit ON visit_comments(burger_club_id, created_at);
+
+CREATE TABLE comment_reactions (
+  comment_id INTEGER NOT NULL REFERENCES visit_comments(id) ON DELETE CASCADE,
+  tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  emoji TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (comment_id, tenant_id, emoji)
+);
+`);
+}
+
+module.exports = { up };
@@ -0,0 +1,24 @@
+// A tracker record's change history outlives the record: deleting it for good
+// from the trash no longer cascades to burger_club_history, and adds a final
+// 'purge' entry with the values it had. burger_club_id then names a record
+// that is gone (ids aren't reused).
+async function up(client) {
+  // Both constraints were declared inline, so look their names up rather than assume them
+  const constraints = await client.query(`
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'burger_club_history'::regclass
+      AND ((contype = 'f' AND confrelid = 'burger_club'::regclass)
+        OR (contype = 'c' AND pg_get_constraintdef(oid) LIKE '%action%'))`
+  );
+  for (const c of constraints.rows) {
+    await client.query(`ALTER TABLE burger_club_history DROP CONSTRAINT "${c.conname}"`);
+  }
+
+  await client.query(`
+ALTER TABLE burger_club_history
+  ADD CONSTRAINT burger_club_history_action_check
+    CHECK(action IN ('create','update','photo','delete','restore','purge'));
+`);
+}
+
+module.exports = { up };
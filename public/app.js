@@ -12,7 +12,6 @@ function escapeHtml(str) {
 
 async function api(path, opts = {}) {
   const headers = opts.headers ? { ...opts.headers } : {};
-  if (tenantId) headers["X-Tenant-Id"] = String(tenantId);
 
   const res = await fetch(path, { ...opts, headers });
   const text = await res.text();
@@ -25,7 +24,10 @@ async function api(path, opts = {}) {
 
   if (!res.ok) {
     const msg = data && data.error ? data.error : text || `HTTP ${res.status}`;
-    throw new Error(msg);
+    const err = new Error(msg);
+    err.status = res.status;
+    err.data = data;
+    throw err;
   }
   return data;
 }
@@ -38,84 +40,46 @@ function setMsg(el, msg) {
 // =======================
 // Global state
 // =======================
-let tenantId = localStorage.getItem("tenantId") || "";
+let tenantId = ""; // logged-in tenant, resolved from the session cookie via /api/me
+let tenantRole = ""; // "admin" | "member"
 let currentRoundId = null;
 let currentOptions = [];
-let slotToOption = new Map(); // rank(1..5) -> optionId
-
-// Tenant photo map (ensure these files exist in /public/tenants/)
-const TENANT_PHOTOS = {
-  "Andrew King": "/tenants/andrew.jpg",
-  "Paul Morse": "/tenants/paul.jpg",
-  "John Wainwright": "/tenants/john.jpg",
-  "Joe Wainwright": "/tenants/joe.jpg",
-  "Job Gregory": "/tenants/job.jpg",
-  "JJ Greco": "/tenants/jj.jpg",
-};
-
-
-// Burger Club attendance cache (from /api/burger-club)
-const TENANT_FIELD_TO_NAME = {
-  paul: "Paul Morse",
-  job: "Job Gregory",
-  john: "John Wainwright",
-  andrew: "Andrew King",
-  jj: "JJ Greco",
-  joe: "Joe Wainwright",
-};
-
-let burgerClubAttendanceById = new Map(); // id -> Set(fullName)
-let burgerClubAttendanceLoadedAt = 0;
-
-function computeAttendanceSetFromBurgerClubRow(row) {
-  const s = new Set();
-  if (!row) return s;
-
-  for (const [field, fullName] of Object.entries(TENANT_FIELD_TO_NAME)) {
-    if (row[field] === true || row[field] === 1 || row[field] === "1" || row[field] === "true") {
-      s.add(fullName);
-    }
-  }
-  return s;
+let slotToOption = new Map(); // rank(1..round size) -> optionId
+let rankMethod = localStorage.getItem("rankMethod") || "points"; // ?method= for bracket/compare endpoints
+// Bracket shape and seeding for the bracket endpoints: ?size= (16-128), ?regions=,
+// ?strategy=, ?seed= (random draws) and ?apart= (rounds neighbours stay apart)
+const bracketOpts = Object.fromEntries(
+  Object.entries({ size: "auto", regions: "4", strategy: "straight", seed: "1", apart: "0" }).map(
+    ([key, fallback]) => [key, localStorage.getItem(bracketOptName(key)) || fallback]
+  )
+);
+let nextStrategy = localStorage.getItem("nextStrategy") || "coverage"; // ?strategy= for /api/next
+let ballotId = localStorage.getItem("ballotId") || ""; // ?ballot= for everything scoped to a ballot
+let ballots = []; // from /api/ballots
+
+let tenants = []; // from /api/tenants: { id, name, photo_url }
+let weighting = null; // from /api/weighting: { attended, notAttended, guest, excludeNotAttended }
+
+function currentBallot() {
+  return ballots.find((b) => String(b.id) === String(ballotId)) || null;
 }
 
-// Fetch and cache attendance from Burger Club DB (refreshes at most every 60s)
-async function ensureBurgerClubAttendanceFresh(force = false) {
-  const now = Date.now();
-  if (!force && burgerClubAttendanceLoadedAt && now - burgerClubAttendanceLoadedAt < 60_000) return;
-
-  try {
-    const data = await api("/api/burger-club", { headers: {} });
-    const rows = (data && data.rows) ? data.rows : [];
-    const m = new Map();
-
-    rows.forEach((r) => {
-      if (r && r.id != null) m.set(Number(r.id), computeAttendanceSetFromBurgerClubRow(r));
-    });
-
-    burgerClubAttendanceById = m;
-    burgerClubAttendanceLoadedAt = now;
-  } catch {
-    // Non-fatal: keep existing cache (vote UI will fall back to option-provided Attendees)
-  }
+// Query string selecting the current ballot
+function ballotQs() {
+  return `ballot=${encodeURIComponent(ballotId)}`;
 }
 
-function overlayAttendanceOntoOptions(options) {
-  if (!Array.isArray(options)) return;
+function tenantById(id) {
+  return tenants.find((t) => String(t.id) === String(id)) || null;
+}
 
-  options.forEach((o) => {
-    const id = Number(o && o.id);
-    if (!Number.isFinite(id)) return;
+function tenantPhoto(t) {
+  return (t && t.photo_url) || "/tenants/burger.png";
+}
 
-    const attendeesFromDb = burgerClubAttendanceById.get(id);
-    if (attendeesFromDb && attendeesFromDb.size) {
-      // renderAttendees() can handle arrays/strings; normalizeAttendees() will turn it into a Set.
-      o.Attendees = Array.from(attendeesFromDb);
-    } else if (attendeesFromDb && attendeesFromDb.size === 0) {
-      // Explicitly set to empty so everyone stays greyed out.
-      o.Attendees = [];
-    }
-  });
+// First name for compact labels (checkboxes, table headers)
+function tenantShortName(t) {
+  return String(t?.name || "").split(" ")[0];
 }
 
 // =======================
@@ -151,66 +115,219 @@ function bindTabs() {
   });
 }
 
+// Ranking method pickers (one per ranking tab, kept in sync)
+function bindRankMethod() {
+  const selects = document.querySelectorAll(".rankMethod");
+  selects.forEach((sel) => {
+    sel.value = rankMethod;
+    sel.addEventListener("change", () => {
+      rankMethod = sel.value;
+      localStorage.setItem("rankMethod", rankMethod);
+      selects.forEach((other) => (other.value = rankMethod));
+
+      const active = document.querySelector(".tab.active")?.dataset.tab;
+      if (active) switchTab(active);
+    });
+  });
+}
+
+// "size" -> "bracketSize": the pickers' class and localStorage key
+function bracketOptName(key) {
+  return `bracket${key[0].toUpperCase()}${key.slice(1)}`;
+}
+
+// Bracket shape / seeding pickers (one set per bracket tab, kept in sync)
+function bindBracketOptions() {
+  Object.keys(bracketOpts).forEach((key) => {
+    const name = bracketOptName(key);
+    const inputs = document.querySelectorAll(`.${name}`);
+    inputs.forEach((el) => {
+      el.value = bracketOpts[key];
+      el.addEventListener("change", () => {
+        bracketOpts[key] = el.value;
+        localStorage.setItem(name, el.value);
+        inputs.forEach((other) => (other.value = el.value));
+
+        const active = document.querySelector(".tab.active")?.dataset.tab;
+        if (active) switchTab(active);
+      });
+    });
+  });
+}
+
+function bracketQs() {
+  return new URLSearchParams(bracketOpts).toString();
+}
+
+// Download a bracket poster: `path` is the export route without the extension;
+// the format comes from the .posterFormat picker next to the clicked button
+function exportPoster(button, path) {
+  const format = button.parentElement.querySelector(".posterFormat")?.value || "svg";
+  window.location.href = `${path}.${format}?method=${encodeURIComponent(rankMethod)}&${bracketQs()}&${ballotQs()}`;
+}
+
+const SEEDING_LABELS = {
+  straight: "straight seed bands",
+  snake: "snake seed bands",
+  borough: "regions by borough",
+  random: "random draw",
+};
+
+// "40 entrants, 64-slot bracket in 4 regions (24 byes); snake seed bands"
+function bracketShapeText(data) {
+  const { size, regions } = data.shape;
+  const { name, seed, apart } = data.strategy;
+  const fit = data.entrants > size ? `; the ${data.entrants - size} lowest-ranked don't fit` : "";
+  const byes = data.entrants < size ? ` (${size - data.entrants} byes)` : "";
+  const draw = name === "random" ? ` #${seed}` : "";
+  const hoods = apart ? `, neighbourhoods kept apart for ${apart} round${apart === 1 ? "" : "s"}` : "";
+  return (
+    `${data.entrants} entrants, ${size}-slot bracket in ${regions} region${regions === 1 ? "" : "s"}` +
+    `${byes}${fit}; ${SEEDING_LABELS[name]}${draw}${hoods}`
+  );
+}
+
+// Score summary for a ranked option under the current method
+function scoreLabel(t) {
+  if (t.strength != null) {
+    const f = (x) => Number(x).toFixed(2);
+    return `strength ${f(t.strength)} (95% ${f(t.strengthLow)} to ${f(t.strengthHigh)})`;
+  }
+  if (t.schulzeWins != null) return `beats ${t.schulzeWins} head-to-head`;
+  if (t.criteriaScorers != null) {
+    return t.criteriaScorers ? `criteria ${Number(t.criteriaScore).toFixed(1)} (${t.criteriaScorers} scored)` : "not scored";
+  }
+  return `avg pts ${t.avgPoints ? Number(t.avgPoints).toFixed(2) : "—"}`;
+}
+
 // =======================
-// Tenants
+// Tenants + login
 // =======================
 async function loadTenants() {
-  const sel = $("tenantSelect");
+  const sel = $("loginTenant");
   const data = await api("/api/tenants", { headers: {} });
+  tenants = data.tenants || [];
 
-  sel.innerHTML = `<option value="">Select seat…</option>`;
-  data.tenants.forEach((t) => {
+  if (!sel) return;
+  sel.innerHTML = `<option value="">Who are you?</option>`;
+  tenants.forEach((t) => {
     const opt = document.createElement("option");
     opt.value = String(t.id);
     opt.textContent = t.name;
     sel.appendChild(opt);
   });
+}
+
+// Ask the server who the session cookie belongs to
+async function loadSession() {
+  try {
+    const data = await api("/api/me");
+    tenantId = String(data.tenant.id);
+    tenantRole = data.tenant.role;
+  } catch {
+    tenantId = "";
+    tenantRole = "";
+  }
+  renderLoginState();
+}
+
+function renderLoginState() {
+  const me = tenantId ? tenantById(tenantId) : null;
+
+  $("loginForm")?.classList.toggle("hidden", !!me);
+  $("accountPanel")?.classList.toggle("hidden", !me);
+  if ($("accountName")) $("accountName").textContent = me ? me.name : "";
+  setMsg($("tenantStatus"), me ? `Logged in: ${me.name}${isAdmin() ? " (admin)" : ""}` : "");
+
+  // Admin-only controls (Raw tab, tracker editing)
+  document.querySelectorAll(".adminOnly").forEach((el) => el.classList.toggle("hidden", !isAdmin()));
+  if (!isAdmin() && document.querySelector('.tab.active[data-tab="raw"]')) switchTab("vote");
+
+  updateTenantRail();
+}
 
-  if (tenantId) sel.value = tenantId;
+function isAdmin() {
+  return !!tenantId && tenantRole === "admin";
 }
 
-function bindTenantSelect() {
-  const sel = $("tenantSelect");
-  const status = $("tenantStatus");
-  const msg = $("tenantMsg");
-  sel?.addEventListener("change", async () => {
-    // Auto-apply immediately when selection changes
-    await applySelectedTenant();
+function bindLogin() {
+  $("btnLogin")?.addEventListener("click", login);
+  $("loginPassword")?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") login();
   });
-
-  // Backwards-compatible click handler if button still exists in DOM
-  $("btnSetTenant")?.addEventListener("click", applySelectedTenant);
+  $("btnLogout")?.addEventListener("click", logout);
+  $("btnChangePassword")?.addEventListener("click", changePassword);
 }
 
-async function applySelectedTenant() {
-  const sel = $("tenantSelect");
-  const status = $("tenantStatus");
+async function login() {
   const msg = $("tenantMsg");
+  const chosen = $("loginTenant")?.value || "";
+  const password = $("loginPassword")?.value || "";
 
-  const chosen = sel?.value || "";
-  if (!chosen) {
-    setMsg(msg, "Please choose a seat first.");
+  if (!chosen || !password) {
+    setMsg(msg, "Choose your name and enter your password.");
+    return;
+  }
+
+  try {
+    const data = await api("/api/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tenantId: Number(chosen), password }),
+    });
+    tenantId = String(data.tenant.id);
+    tenantRole = data.tenant.role;
+    $("loginPassword").value = "";
+    setMsg(msg, "✅ Logged in.");
+  } catch (e) {
+    setMsg(msg, `Login failed: ${e.message}`);
     return;
   }
 
-  tenantId = chosen;
-  localStorage.setItem("tenantId", tenantId);
+  renderLoginState();
+  await onTenantChanged();
+}
+
+async function logout() {
+  try {
+    await api("/api/logout", { method: "POST" });
+  } catch {
+    /* cookie is cleared server-side either way */
+  }
+  tenantId = "";
+  tenantRole = "";
+  setMsg($("tenantMsg"), "Logged out.");
+  renderLoginState();
+  await onTenantChanged();
+}
 
-  setMsg(msg, "✅ Seat applied.");
-  if (status && sel)
-    status.textContent = `Seat: ${sel.options[sel.selectedIndex].textContent}`;
+async function changePassword() {
+  const msg = $("tenantMsg");
+  const currentPassword = $("pwCurrent")?.value || "";
+  const newPassword = $("pwNew")?.value || "";
 
-  // Update left rail tenant photo
-  updateTenantRail();
+  try {
+    await api("/api/password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+    $("pwCurrent").value = "";
+    $("pwNew").value = "";
+    setMsg(msg, "✅ Password changed.");
+  } catch (e) {
+    setMsg(msg, `Password change failed: ${e.message}`);
+  }
+}
 
-  // Reset vote state + load new round for this seat
+async function onTenantChanged() {
+  // Reset vote state + load new round for this tenant
   currentRoundId = null;
   currentOptions = [];
   slotToOption = new Map();
   renderVoteCards();
 
   await refreshProgress();
-  await loadNext5();
 }
 
 // =======================
@@ -221,7 +338,7 @@ async function refreshProgress() {
   const msgEl = $("voteMsg");
 
   if (!tenantId) {
-    setMsg(progressEl, "Select a seat to start ranking.");
+    setMsg(progressEl, "Log in to start ranking.");
     setMsg(msgEl, "");
     const btn = $("btnSubmit");
     if (btn) {
@@ -232,7 +349,7 @@ async function refreshProgress() {
   }
 
   try {
-    const p = await api("/api/progress");
+    const p = await api(`/api/progress?${ballotQs()}`);
     setMsg(
       progressEl,
       `${p.tenant.name}: ${p.remainingTo2x} options still need 2+ rankings`
@@ -241,111 +358,136 @@ async function refreshProgress() {
     setMsg(progressEl, `Progress error: ${e.message}`);
   }
 
+  const ballot = currentBallot();
+  if (ballot && ballot.status !== "open") {
+    showRound({ roundId: null, options: [] });
+    setMsg(
+      msgEl,
+      ballot.status === "closed"
+        ? `${ballot.name} is closed. Its results are read-only.`
+        : `${ballot.name} hasn't opened yet.`
+    );
+    return;
+  }
+
   if (!currentOptions.length) {
-    await loadNext5();
+    await resumeOrLoadNext();
   } else {
     validateRanks();
   }
 }
 
-async function loadNext5() {
+async function loadNextRound() {
   const msgEl = $("voteMsg");
   setMsg(msgEl, "");
 
   if (!tenantId) {
-    setMsg(msgEl, "Select a seat first.");
+    setMsg(msgEl, "Log in first.");
     return;
   }
 
   try {
-    const data = await api("/api/next");
-    currentRoundId = data.roundId;
-    currentOptions = data.options || [];
-
-    // Pull Burger Club attendance and light up tenant photos accordingly
-    await ensureBurgerClubAttendanceFresh();
-    overlayAttendanceOntoOptions(currentOptions);
-
-    slotToOption = new Map();
-    renderVoteCards();
-    validateRanks();
+    const data = await api(`/api/next?strategy=${encodeURIComponent(nextStrategy)}&${ballotQs()}`);
+    showRound(data);
   } catch (e) {
     setMsg(msgEl, `Error loading options: ${e.message}`);
   }
 }
 
-// ---- Attendee parsing + render ----
-function normalizeAttendees(attendeesRaw) {
-  // Returns Set of tenant names that attended.
-  const s = new Set();
+// Pick up the unsubmitted round the server already issued (e.g. after a reload)
+async function resumeOrLoadNext() {
+  if (!tenantId) return loadNextRound();
 
-  if (attendeesRaw === true || attendeesRaw === "true") {
-    Object.keys(TENANT_PHOTOS).forEach((n) => s.add(n));
-    return s;
-  }
-  if (attendeesRaw === false || attendeesRaw === "false" || attendeesRaw == null) {
-    return s;
+  let data = null;
+  try {
+    data = await api(`/api/rounds/current?${ballotQs()}`);
+  } catch {
+    /* no open round */
   }
 
-  if (Array.isArray(attendeesRaw)) {
-    attendeesRaw.forEach((a) => a && s.add(String(a).trim()));
-    return s;
-  }
+  if (data && data.options?.length === data.size) showRound(data);
+  else await loadNextRound();
+}
 
-  const str = String(attendeesRaw).trim();
+function showRound(data) {
+  currentRoundId = data.roundId;
+  currentOptions = data.options || [];
 
-  // JSON array string?
-  if (str.startsWith("[") && str.endsWith("]")) {
-    try {
-      const arr = JSON.parse(str);
-      if (Array.isArray(arr)) arr.forEach((a) => a && s.add(String(a).trim()));
-      return s;
-    } catch {
-      /* ignore */
-    }
-  }
+  slotToOption = new Map();
+  renderRoundSizeText(currentOptions.length || currentBallot()?.roundSize || 5);
+  renderVoteCards();
+  validateRanks();
+}
 
-  // Split on comma or pipe
-  str
-    .split(/[,\|]/g)
-    .map((x) => x.trim())
-    .filter(Boolean)
-    .forEach((name) => s.add(name));
+// Headings and button labels that mention how many options a round holds
+function renderRoundSizeText(size) {
+  const title = $("voteTitle");
+  if (title) title.textContent = `Rank ${size} options (1 = best, ${size} = worst)`;
+  const hint = $("rankHint");
+  if (hint) hint.textContent = `Drag each option into a rank slot (1 = best, ${size} = worst).`;
+  const btn = $("btnNext");
+  if (btn) btn.textContent = `Get next ${currentBallot()?.roundSize || size}`;
+}
 
-  return s;
+// ---- Attendee render ----
+function attendeeSet(attendeeIds) {
+  return new Set((attendeeIds || []).map(Number));
 }
 
 // Update left rail tenant photo and name
 function updateTenantRail() {
   const photoEl = $("tenantPhoto");
   const nameEl = $("tenantName");
-  const sel = $("tenantSelect");
   if (!photoEl || !nameEl) return;
 
-  if (!tenantId || !sel || !sel.value) {
+  const me = tenantId ? tenantById(tenantId) : null;
+  if (!me) {
     photoEl.src = "/tenants/burger.png";
-    nameEl.textContent = "No seat";
+    nameEl.textContent = "Not logged in";
     return;
   }
 
-  const name = sel.options[sel.selectedIndex]?.textContent || "";
-  nameEl.textContent = name || "No seat";
-  photoEl.src = TENANT_PHOTOS[name] || "/tenants/placeholder.png";
+  nameEl.textContent = me.name;
+  photoEl.src = tenantPhoto(me);
+}
+
+// Members' reviews on a vote card (long ones are cut short; hover for the rest).
+// Restaurant options carry the reviews of every visit, dated.
+function renderCardReviews(o) {
+  const reviews = o.reviews;
+  if (!reviews?.length) return "";
+  const short = (text) => (text.length > 240 ? `${text.slice(0, 240)}…` : text);
+
+  return `
+    <div class="reviewList">
+      ${reviews
+        .map(
+          (r) => `
+        <div class="review small" title="${escapeHtml(r.body)}">
+          <span class="who">${escapeHtml(r.tenant_name)}</span>
+          ${r.burger_club_id !== o.id ? `<span class="muted">(${escapeHtml(r.month)} ${r.year})</span>` : ""}
+          ${escapeHtml(short(r.body))}
+        </div>
+      `
+        )
+        .join("")}
+    </div>
+  `;
 }
 
-function renderAttendees(attendeesRaw) {
-  const attendees = normalizeAttendees(attendeesRaw);
+function renderAttendees(attendeeIds) {
+  const attendees = attendeeSet(attendeeIds);
 
   return `
     <div class="attendeeRow">
-      ${Object.entries(TENANT_PHOTOS)
-        .map(([name, photo]) => {
-          const attended = attendees.has(name);
+      ${tenants
+        .map((t) => {
+          const attended = attendees.has(t.id);
           return `
             <div class="attendee ${attended ? "yes" : "no"}" title="${escapeHtml(
-              name
+              t.name
             )}">
-              <img src="${photo}" alt="${escapeHtml(name)}" />
+              <img src="${escapeHtml(tenantPhoto(t))}" alt="${escapeHtml(t.name)}" />
             </div>
           `;
         })
@@ -362,8 +504,8 @@ function renderVoteCards() {
   slotsEl.innerHTML = "";
   poolEl.innerHTML = "";
 
-  // Rank slots (1..5)
-  for (let rank = 1; rank <= 5; rank++) {
+  // Rank slots (1..round size)
+  for (let rank = 1; rank <= currentOptions.length; rank++) {
     const slot = document.createElement("div");
     slot.className = "slot";
     slot.dataset.rank = String(rank);
@@ -393,15 +535,8 @@ function renderVoteCards() {
 
   // Pool cards
   currentOptions.forEach((o) => {
-    const tenantSel = $("tenantSelect");
-    const currentTenantName = tenantSel && tenantSel.value ? tenantSel.options[tenantSel.selectedIndex].textContent : null;
-
-    const attendeesSet = normalizeAttendees(o.Attendees);
-    const attendedBySelectedTenant = currentTenantName ? attendeesSet.has(currentTenantName) : false;
-
-    const idNum = Number(o.id);
-    const dbAttendanceKnown = burgerClubAttendanceById && burgerClubAttendanceById.has(idNum);
-    const absentBySelectedTenant = dbAttendanceKnown && currentTenantName ? !attendeesSet.has(currentTenantName) : false;
+    const attendedBySelectedTenant = tenantId ? attendeeSet(o.attendeeIds).has(Number(tenantId)) : false;
+    const absentBySelectedTenant = tenantId ? !attendedBySelectedTenant : false;
 
     const card = document.createElement("div");
     card.className = "option draggable" + (attendedBySelectedTenant ? " attended" : "") + (absentBySelectedTenant ? " absent" : "");
@@ -417,12 +552,13 @@ function renderVoteCards() {
             <div><strong>${escapeHtml(o.title)}</strong></div>
             <div class="muted small">${escapeHtml(o.month)} ${escapeHtml(
       o.year
-    )} • ${escapeHtml(o.location)}</div>
+    )} • ${escapeHtml(o.location)}${o.visits > 1 ? ` • ${o.visits} visits` : ""}</div>
           </div>
-          <div class="badge">ranked ${o.timesRanked}×</div>
+          <div class="badge" title="${escapeHtml(o.pickReason?.text)}">ranked ${o.timesRanked}×</div>
         </div>
 
-        ${renderAttendees(o.Attendees)}
+        ${renderAttendees(o.attendeeIds)}
+        ${renderCardReviews(o)}
 
         <p class="muted small"><strong>Notes:</strong> ${escapeHtml(
           o.Additional_Notes
@@ -522,25 +658,26 @@ function validateRanks() {
   if (!tenantId) {
     btn.disabled = true;
     btn.classList.remove("ready");
-    setMsg(msg, "Select a seat first.");
+    setMsg(msg, "Log in first.");
     return;
   }
 
-  if (!currentRoundId || currentOptions.length !== 5) {
+  const size = currentOptions.length;
+  if (!currentRoundId || !size) {
     btn.disabled = true;
     btn.classList.remove("ready");
     return;
   }
 
-  if (slotToOption.size !== 5) {
+  if (slotToOption.size !== size) {
     btn.disabled = true;
     btn.classList.remove("ready");
-    setMsg(msg, "Drag all 5 options into rank slots (1–5).");
+    setMsg(msg, `Drag all ${size} options into rank slots (1–${size}).`);
     return;
   }
 
   const vals = [...slotToOption.values()];
-  if (new Set(vals).size !== 5) {
+  if (new Set(vals).size !== size) {
     btn.disabled = true;
     btn.classList.remove("ready");
     setMsg(msg, "Each slot must contain a different option.");
@@ -559,9 +696,9 @@ async function submitVote() {
 
   const payload = {
     roundId: currentRoundId,
-    rankings: [1, 2, 3, 4, 5].map((rank) => ({
-      optionId: slotToOption.get(rank),
-      rank,
+    rankings: currentOptions.map((_, i) => ({
+      optionId: slotToOption.get(i + 1),
+      rank: i + 1,
     })),
   };
 
@@ -572,8 +709,8 @@ async function submitVote() {
       body: JSON.stringify(payload),
     });
 
-    setMsg(msg, "Submitted! Loading next 5…");
-    await loadNext5();
+    setMsg(msg, "Submitted! Loading the next round…");
+    await loadNextRound();
     await refreshProgress();
   } catch (e) {
     setMsg(msg, `Submit error: ${e.message}`);
@@ -581,8 +718,18 @@ async function submitVote() {
 }
 
 function bindVoteButtons() {
-  $("btnNext")?.addEventListener("click", loadNext5);
+  $("btnNext")?.addEventListener("click", loadNextRound);
   $("btnSubmit")?.addEventListener("click", submitVote);
+
+  const strategySel = $("nextStrategy");
+  if (strategySel) {
+    strategySel.value = nextStrategy;
+    strategySel.addEventListener("change", () => {
+      nextStrategy = strategySel.value;
+      localStorage.setItem("nextStrategy", nextStrategy);
+      loadNextRound();
+    });
+  }
 }
 
 // =======================
@@ -594,7 +741,10 @@ async function loadBrackets() {
   wrap.innerHTML = "Loading…";
 
   try {
-    const data = await api("/api/brackets", { headers: {} });
+    const data = await api(
+      `/api/brackets?method=${encodeURIComponent(rankMethod)}&${bracketQs()}&${ballotQs()}`,
+      { headers: {} }
+    );
     const regions = data?.regions;
     if (!Array.isArray(regions)) {
       wrap.innerHTML = `<div class="muted">Unexpected response.</div>`;
@@ -602,13 +752,14 @@ async function loadBrackets() {
     }
 
     wrap.innerHTML = `
+      <div class="muted small" style="margin:0 0 10px 0;">${escapeHtml(bracketShapeText(data))}</div>
       <div class="madnessGrid">
         ${regions
           .map(
             (r) => `
           <div class="madnessRegion">
             <div class="madnessTitle">${escapeHtml(r.name)}</div>
-            <div class="madnessRoundLabel muted small">Seeds 1–16</div>
+            <div class="madnessRoundLabel muted small">Seeds 1–${r.size}</div>
             <div class="games">
               ${(r.teams || [])
                 .slice()
@@ -621,7 +772,7 @@ async function loadBrackets() {
                         <span class="teamName">${escapeHtml(t.title)}</span>
                         <span class="meta muted small">${escapeHtml(t.month)} ${escapeHtml(
                     t.year
-                  )} • ${escapeHtml(t.location)}</span>
+                  )} • ${escapeHtml(t.location)} • ${escapeHtml(scoreLabel(t))}</span>
                       </div>
                     </div>
                   `
@@ -637,6 +788,61 @@ async function loadBrackets() {
   } catch (e) {
     wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
   }
+
+  await loadConsensusMatrix();
+}
+
+// Pairwise-preference matrix for the Schulze consensus (top 16 only)
+async function loadConsensusMatrix() {
+  const wrap = $("consensusWrap");
+  if (!wrap) return;
+  if (rankMethod !== "schulze") {
+    wrap.innerHTML = "";
+    return;
+  }
+
+  try {
+    const data = await api(`/api/consensus?${ballotQs()}`, { headers: {} });
+    const top = (data.options || []).slice(0, 16);
+    const prefs = data.preferences || [];
+
+    wrap.innerHTML = `
+      <div class="muted small" style="margin:12px 0 6px;">
+        Members preferring the row option over the column option (top 16).
+      </div>
+      <div class="compareTableWrap">
+        <table class="compareTable">
+          <thead>
+            <tr>
+              <th></th>
+              ${top.map((o) => `<th title="${escapeHtml(o.title)}">#${o.overallRank}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>
+            ${top
+              .map(
+                (o, i) => `
+              <tr>
+                <td class="titleCell">#${o.overallRank} ${escapeHtml(o.title)}</td>
+                ${top
+                  .map((_, j) => {
+                    if (i === j) return `<td class="num">—</td>`;
+                    const v = prefs[i][j];
+                    const cls = v > prefs[j][i] ? "deltaPos" : v < prefs[j][i] ? "deltaNeg" : "deltaFlat";
+                    return `<td class="num ${cls}">${v}</td>`;
+                  })
+                  .join("")}
+              </tr>
+            `
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
 }
 
 // =======================
@@ -647,14 +853,16 @@ async function loadPersonalBracket() {
   if (!wrap) return;
 
   if (!tenantId) {
-    wrap.innerHTML = `<div class="muted">Select a seat to view your personal bracket.</div>`;
+    wrap.innerHTML = `<div class="muted">Log in to view your personal bracket.</div>`;
     return;
   }
 
   wrap.innerHTML = "Loading…";
 
   try {
-    const data = await api("/api/personal-bracket");
+    const data = await api(
+      `/api/personal-bracket?method=${encodeURIComponent(rankMethod)}&${bracketQs()}&${ballotQs()}`
+    );
     const regions = data?.regions;
     if (!Array.isArray(regions)) {
       wrap.innerHTML = `<div class="muted">Unexpected response.</div>`;
@@ -663,10 +871,12 @@ async function loadPersonalBracket() {
 
     wrap.innerHTML = `
       <div class="row space" style="margin:0 0 10px 0;">
-        <div class="muted small">Seat: <strong>${escapeHtml(
+        <div class="muted small">Member: <strong>${escapeHtml(
           data.tenant?.name
         )}</strong></div>
-        <div class="muted small">Based only on this seat’s submissions</div>
+        <div class="muted small">
+          Based only on this member’s submissions • ${escapeHtml(bracketShapeText(data))}
+        </div>
       </div>
 
       <div class="madnessGrid">
@@ -675,7 +885,7 @@ async function loadPersonalBracket() {
             (r) => `
           <div class="madnessRegion">
             <div class="madnessTitle">${escapeHtml(r.name)}</div>
-            <div class="madnessRoundLabel muted small">Seeds 1–16</div>
+            <div class="madnessRoundLabel muted small">Seeds 1–${r.size}</div>
             <div class="games">
               ${(r.teams || [])
                 .slice()
@@ -690,7 +900,7 @@ async function loadPersonalBracket() {
                     t.year
                   )} • ${escapeHtml(t.location)} • votes: ${t.votes || 0} • avg rank: ${
                     t.avgRank ? Number(t.avgRank).toFixed(2) : "—"
-                  }</span>
+                  } • ${escapeHtml(scoreLabel(t))}</span>
                     </div>
                   </div>
                 `
@@ -719,7 +929,7 @@ async function loadRaw() {
   wrap.innerHTML = "Loading…";
 
   try {
-    const data = await api("/api/raw", { headers: {} });
+    const data = await api(`/api/raw?${ballotQs()}`, { headers: {} });
     let rows = data?.rows || [];
 
     if (filter) {
@@ -737,7 +947,11 @@ async function loadRaw() {
 
     wrap.innerHTML = `
       <div style="margin-bottom:10px; display:flex; gap:8px; align-items:center;">
-        <button id="btnDeleteMine" class="miniBtn">Delete my submissions</button>
+        <select id="rawDeleteTenant">
+          <option value="">Member…</option>
+          ${tenants.map((t) => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join("")}
+        </select>
+        <button id="btnDeleteMemberVotes" class="miniBtn">Delete all their submissions</button>
         <button id="btnRefreshRawLocal" class="miniBtn">Refresh</button>
         <div class="muted small" style="margin-left:auto">Showing ${rows.length} rows</div>
       </div>
@@ -759,17 +973,19 @@ async function loadRaw() {
           ${rows
             .map(
               (r) => {
-                const canDelete = tenantId && String(r.tenant_id) === String(tenantId);
                 return `
             <tr>
               <td>${escapeHtml(r.created_at)}</td>
               <td>${escapeHtml(r.tenant_name)}</td>
               <td>${r.option_photo ? `<img src="${escapeHtml(r.option_photo)}" style="width:48px;height:32px;object-fit:cover;border-radius:4px;"/>` : ''}</td>
               <td>${escapeHtml(r.option_title)}</td>
-              <td>${r.rank}</td>
+              <td>${r.rank}${r.round_size ? ` / ${r.round_size}` : ""}</td>
               <td>${typeof r.weight !== 'undefined' ? Number(r.weight).toFixed(2) : ''}</td>
               <td>${escapeHtml(r.round_id)}</td>
-              <td>${canDelete ? `<button class="miniBtn" data-delete-vote="${r.vote_id}">Delete</button>` : ""}</td>
+              <td>
+                <button class="miniBtn" data-delete-vote="${r.vote_id}" data-tenant="${r.tenant_id}">Delete</button>
+                <button class="miniBtn" data-delete-round="${escapeHtml(r.round_id)}" data-tenant="${r.tenant_id}">Delete round</button>
+              </td>
             </tr>
           `
               }
@@ -782,29 +998,54 @@ async function loadRaw() {
     // bind buttons
     $("btnRefreshRawLocal")?.addEventListener("click", loadRaw);
 
-    $("btnDeleteMine")?.addEventListener("click", async () => {
-      if (!tenantId) {
-        setMsg($("voteMsg"), "Select a seat first.");
+    // Deletes are admin actions performed on behalf of the member who voted
+    const onBehalfOf = (memberId) => ({ "X-On-Behalf-Of": String(memberId) });
+
+    $("btnDeleteMemberVotes")?.addEventListener("click", async () => {
+      const memberId = $("rawDeleteTenant")?.value;
+      const member = tenantById(memberId);
+      if (!member) {
+        setMsg($("voteMsg"), "Choose a member first.");
         return;
       }
-      if (!confirm("Delete ALL your submissions? This cannot be undone.")) return;
+      const ballotName = currentBallot()?.name || "this ballot";
+      if (!confirm(`Delete ALL submissions by ${member.name} in ${ballotName}? This cannot be undone.`)) return;
       try {
-        await api("/api/votes", { method: "DELETE" });
+        await api(`/api/votes?${ballotQs()}`, { method: "DELETE", headers: onBehalfOf(member.id) });
         await loadRaw();
         await refreshProgress();
-        setMsg($("voteMsg"), "Deleted your submissions.");
+        setMsg($("voteMsg"), `Deleted submissions by ${member.name}.`);
       } catch (e) {
         setMsg($("voteMsg"), `Delete failed: ${e.message}`);
       }
     });
 
+    wrap.querySelectorAll("[data-delete-round]").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const roundId = btn.dataset.deleteRound;
+        if (!roundId) return;
+        if (!confirm(`Delete round ${roundId}? This cannot be undone.`)) return;
+        try {
+          await api(`/api/rounds/${encodeURIComponent(roundId)}`, {
+            method: "DELETE",
+            headers: onBehalfOf(btn.dataset.tenant),
+          });
+          await loadRaw();
+          await refreshProgress();
+          setMsg($("voteMsg"), `Deleted round ${roundId}`);
+        } catch (e) {
+          setMsg($("voteMsg"), `Delete failed: ${e.message}`);
+        }
+      });
+    });
+
     wrap.querySelectorAll("[data-delete-vote]").forEach((btn) => {
       btn.addEventListener("click", async () => {
         const id = btn.dataset.deleteVote;
         if (!id) return;
         if (!confirm(`Delete vote #${id}? This cannot be undone.`)) return;
         try {
-          await api(`/api/vote/${id}`, { method: "DELETE" });
+          await api(`/api/vote/${id}`, { method: "DELETE", headers: onBehalfOf(btn.dataset.tenant) });
           await loadRaw();
           await refreshProgress();
           setMsg($("voteMsg"), `Deleted vote #${id}`);
@@ -816,69 +1057,135 @@ async function loadRaw() {
   } catch (e) {
     wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
   }
+
+  await loadCriteriaAdmin();
+  await loadAdminLog();
+}
+
+async function loadAdminLog() {
+  const wrap = $("adminLogWrap");
+  if (!wrap) return;
+
+  try {
+    const data = await api("/api/admin/actions");
+    const rows = data?.rows || [];
+    if (!rows.length) {
+      wrap.innerHTML = `<div class="muted">No admin actions yet.</div>`;
+      return;
+    }
+
+    wrap.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>Admin</th>
+            <th>On behalf of</th>
+            <th>Action</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              (r) => `
+            <tr>
+              <td>${escapeHtml(r.created_at)}</td>
+              <td>${escapeHtml(r.actor_name)}</td>
+              <td>${escapeHtml(r.on_behalf_of_name || "—")}</td>
+              <td>${escapeHtml(r.action)}</td>
+              <td class="muted small">${escapeHtml(JSON.stringify(r.details))}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
 }
 
 // =======================================================
 // MARCH MADNESS FULL INTERACTIVE BRACKET
 // =======================================================
+// Brackets are saved on the server, one per tenant per seeding. mmBracket
+// describes the one on screen: whose it is, the seeding it was picked on,
+// whether it can be edited, and its undo stack (snapshots of picks).
 let mmState = null;
+let mmBracket = null; // { id, seedingKey, method, tenantName, readOnly, undo }
+let mmView = "mine"; // "mine" (current seeding), a saved bracket id, or "t:<tournament id>"
+// Group tournament on screen (mmView "t:<id>"): decided games show as picks,
+// open games take one vote per member.
+let mmTournament = null; // { tournament, games: { gameId: game }, myVotes, members }
+// Pick'em score of the saved bracket on screen against the group's truth
+// bracket; picks are marked correct/busted by comparing with truth.
+let mmScore = null; // { score, correct, picked, possible, truth }
+
+// Rounds are named by the teams left ("r64", "s16", ...), as in lib/madness.js
+function roundType(teams) {
+  return { 2: "final", 4: "ff", 8: "e8", 16: "s16" }[teams] || `r${teams}`;
+}
 
-const FIRST_ROUND_PAIRS = [
-  [1, 16],
-  [8, 9],
-  [5, 12],
-  [4, 13],
-  [6, 11],
-  [3, 14],
-  [7, 10],
-  [2, 15],
-];
-
-function buildRegionRounds(region) {
-  const bySeed = new Map((region.teams || []).map((t) => [t.seed, t]));
+function roundTitle(type) {
+  const named = { s16: "Sweet 16", e8: "Elite 8", ff: "Final Four", final: "Championship" };
+  return named[type] || `Round of ${type.slice(1)}`;
+}
 
-  const r64 = FIRST_ROUND_PAIRS.map(([a, b], i) => ({
-    id: `${region.name}-r64-${i}`,
-    a: bySeed.get(a) || null,
-    b: bySeed.get(b) || null,
-    winnerId: null,
-    type: "r64",
-  }));
+// First-round seed pairs for a region with `size` slots (lib/madness.js
+// firstRoundPairs; 16 seeds give 1-16, 8-9, 5-12, 4-13, 6-11, 3-14, 7-10, 2-15)
+function firstRoundPairs(size) {
+  let tops = [1];
+  for (let n = 4; n <= size; n *= 2) {
+    tops = tops.flatMap((x, i) => (i === 0 ? [x, n / 2 + 1 - x] : [n / 2 + 1 - x, x]));
+  }
+  return tops.map((x) => [x, size + 1 - x]);
+}
 
-  const r32 = [0, 1, 2, 3].map((i) => ({
-    id: `${region.name}-r32-${i}`,
-    aGame: `${region.name}-r64-${i * 2}`,
-    bGame: `${region.name}-r64-${i * 2 + 1}`,
-    winnerId: null,
-    type: "r32",
-  }));
+// The round where the winners of `feeders` meet pairwise
+function laterRound(prefix, teams, feeders) {
+  const type = roundType(teams);
+  return {
+    type,
+    games: Array.from({ length: feeders.length / 2 }, (_, i) => ({
+      id: `${prefix}${type}-${i}`,
+      aGame: feeders[i * 2],
+      bGame: feeders[i * 2 + 1],
+      winnerId: null,
+      type,
+    })),
+  };
+}
 
-  const s16 = [0, 1].map((i) => ({
-    id: `${region.name}-s16-${i}`,
-    aGame: `${region.name}-r32-${i * 2}`,
-    bGame: `${region.name}-r32-${i * 2 + 1}`,
-    winnerId: null,
-    type: "s16",
-  }));
+// A region's rounds, first round to region final; bracketSize is the whole bracket's
+function buildRegionRounds(region, bracketSize) {
+  const bySeed = new Map((region.teams || []).map((t) => [t.seed, t]));
+  const type = roundType(bracketSize);
 
-  const e8 = [
+  const rounds = [
     {
-      id: `${region.name}-e8-0`,
-      aGame: `${region.name}-s16-0`,
-      bGame: `${region.name}-s16-1`,
-      winnerId: null,
-      type: "e8",
+      type,
+      games: firstRoundPairs(region.size || 16).map(([a, b], i) => ({
+        id: `${region.name}-${type}-${i}`,
+        a: bySeed.get(a) || null,
+        b: bySeed.get(b) || null,
+        winnerId: null,
+        type,
+      })),
     },
   ];
-
-  return { r64, r32, s16, e8 };
+  for (let teams = bracketSize / 2; rounds.at(-1).games.length > 1; teams /= 2) {
+    rounds.push(laterRound(`${region.name}-`, teams, rounds.at(-1).games.map((g) => g.id)));
+  }
+  return rounds;
 }
 
 function getWinnerTeam(gameId) {
   const g = mmState.games[gameId];
   if (!g) return null;
 
-  if (g.type === "r64") {
+  if (!g.aGame) {
     if (g.winnerId && g.a && g.winnerId === g.a.id) return g.a;
     if (g.winnerId && g.b && g.winnerId === g.b.id) return g.b;
     return null;
@@ -890,7 +1197,7 @@ function getGameTeams(gameId) {
   const g = mmState.games[gameId];
   if (!g) return { a: null, b: null };
 
-  if (g.type === "r64") return { a: g.a, b: g.b };
+  if (!g.aGame) return { a: g.a, b: g.b };
 
   const aTeam = g.aGame ? getWinnerTeam(g.aGame) : null;
   const bTeam = g.bGame ? getWinnerTeam(g.bGame) : null;
@@ -906,25 +1213,29 @@ function clearDownstream(fromGameId) {
   });
 }
 
-function persistMadness() {
-  try {
-    const snapshot = {};
-    Object.entries(mmState.games).forEach(([id, g]) => {
-      snapshot[id] = g.winnerId || null;
-    });
-    localStorage.setItem("mmState", JSON.stringify(snapshot));
-  } catch {}
-}
+async function persistMadness() {
+  if (!mmBracket || mmBracket.readOnly) return;
+  const msg = $("madnessMsg");
 
-function restoreMadness() {
   try {
-    const raw = localStorage.getItem("mmState");
-    if (!raw) return;
-    const snapshot = JSON.parse(raw);
-    Object.entries(snapshot).forEach(([id, winnerId]) => {
-      if (mmState.games[id]) mmState.games[id].winnerId = winnerId;
+    const data = await api(`/api/madness-brackets/mine?${ballotQs()}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        method: mmBracket.method,
+        ...bracketOpts,
+        seedingKey: mmBracket.seedingKey,
+        picks: snapshotMadness(),
+        undo: mmBracket.undo,
+      }),
     });
-  } catch {}
+    mmBracket.id = data.id;
+    await loadMadnessScore();
+    renderMadness();
+    setMsg(msg, "Saved.");
+  } catch (e) {
+    setMsg(msg, `Save failed: ${e.message}`);
+  }
 }
 
 // ---- Undo stack ----
@@ -943,15 +1254,11 @@ function applyMadnessSnapshot(snap) {
 }
 
 function getUndoStack() {
-  try {
-    return JSON.parse(localStorage.getItem("mmUndo") || "[]");
-  } catch {
-    return [];
-  }
+  return mmBracket?.undo || [];
 }
 
 function setUndoStack(stack) {
-  localStorage.setItem("mmUndo", JSON.stringify(stack || []));
+  if (mmBracket) mmBracket.undo = stack || [];
 }
 
 function pushUndoSnapshot() {
@@ -962,7 +1269,7 @@ function pushUndoSnapshot() {
 }
 
 function undoMadness() {
-  if (!mmState) return;
+  if (!mmState || mmBracket?.readOnly) return;
   const stack = getUndoStack();
   const last = stack.pop();
   setUndoStack(stack);
@@ -976,9 +1283,23 @@ function undoMadness() {
   renderMadness();
 }
 
+// Clear every pick in my bracket (undoable); view-only brackets just reload
+function resetMadness() {
+  if (!mmState || mmBracket?.readOnly) {
+    loadMadness();
+    return;
+  }
+  if (!confirm("Clear all your picks?")) return;
+
+  pushUndoSnapshot();
+  Object.values(mmState.games).forEach((g) => (g.winnerId = null));
+  persistMadness();
+  renderMadness();
+}
+
 function pickWinner(gameId, teamId) {
   const g = mmState.games[gameId];
-  if (!g) return;
+  if (!g || mmBracket?.readOnly) return;
 
   const { a, b } = getGameTeams(gameId);
   const valid = (a && a.id === teamId) || (b && b.id === teamId);
@@ -1001,10 +1322,31 @@ function pickWinner(gameId, teamId) {
 function renderGameButton(gameId, team) {
   const g = mmState.games[gameId];
   const picked = g?.winnerId && team && g.winnerId === team.id;
-  const disabled = !team;
+  const truth = mmScore?.truth[gameId];
+  const result = picked && truth !== undefined ? (truth === team.id ? "correct" : "busted") : "";
+
+  if (mmTournament) {
+    const tg = mmTournament.games[gameId];
+    const myVote = mmTournament.myVotes[gameId];
+    const votes = (team && tg?.tally[team.id]) || 0;
+    const votable = tenantId && tg?.opensAt && !tg.decidedBy && myVote == null;
+    const classes = ["mmTeam", "withTally", picked && "picked", team && myVote === team.id && "myVote"];
+
+    return `
+      <button class="${classes.filter(Boolean).join(" ")}"
+        ${!team || !votable ? "disabled" : ""}
+        data-game="${gameId}" data-team="${team ? team.id : ""}">
+        <span class="mmSeedPill">${team ? team.seed : ""}</span>
+        <span class="mmTeamName">${escapeHtml(team ? team.title : "TBD")}</span>
+        <span class="mmTallyPill">${tg?.opensAt && team ? votes : ""}</span>
+      </button>
+    `;
+  }
+
+  const disabled = !team || mmBracket?.readOnly;
 
   return `
-    <button class="mmTeam ${picked ? "picked" : ""}"
+    <button class="mmTeam ${picked ? "picked" : ""} ${result}"
       ${disabled ? "disabled" : ""}
       data-game="${gameId}" data-team="${team ? team.id : ""}">
       <span class="mmSeedPill">${team ? team.seed : ""}</span>
@@ -1038,140 +1380,344 @@ async function loadMadness() {
   const wrap = $("madnessWrap");
   if (!wrap) return;
   wrap.innerHTML = "Loading…";
+  setMsg($("madnessMsg"), "");
+
+  try {
+    const data = await api(
+      `/api/brackets?method=${encodeURIComponent(rankMethod)}&${bracketQs()}&${ballotQs()}`,
+      { headers: {} }
+    );
+    if (!Array.isArray(data?.regions)) {
+      wrap.innerHTML = `<div class="muted">Unexpected response.</div>`;
+      return;
+    }
 
-  const data = await api("/api/brackets", { headers: {} });
-  const regions = data?.regions;
-  if (!Array.isArray(regions)) {
-    wrap.innerHTML = `<div class="muted">Unexpected response.</div>`;
+    const list = await api(`/api/madness-brackets?${ballotQs()}`, { headers: {} });
+    const saved = list.brackets || [];
+    const { tournaments } = await api(`/api/tournaments?${ballotQs()}`, { headers: {} });
+    renderMadnessViews(saved, data.seedingKey, tournaments);
+
+    const ballotOpen = currentBallot()?.status === "open";
+    const picked = saved.find((b) => String(b.id) === String(mmView));
+    mmTournament = null;
+
+    if (String(mmView).startsWith("t:")) {
+      await loadTournament(mmView.slice(2));
+    } else if (picked) {
+      // Someone's saved bracket, on the seeding it was picked against
+      const { bracket } = await api(`/api/madness-brackets/${picked.id}`, { headers: {} });
+      const mine = String(bracket.tenantId) === String(tenantId);
+      const undo = mine
+        ? (await api(`/api/madness-brackets/mine?seeding=${encodeURIComponent(bracket.seedingKey)}&${ballotQs()}`))
+            .bracket?.undo
+        : [];
+      mmBracket = {
+        id: bracket.id,
+        seedingKey: bracket.seedingKey,
+        method: bracket.method,
+        tenantName: bracket.tenantName,
+        readOnly: !mine || !ballotOpen,
+        undo: undo || [],
+      };
+      buildMadnessState(bracket.seeding, bracket.picks);
+    } else {
+      // My bracket on the current seeding (new if I haven't picked yet)
+      const mine = tenantId
+        ? (await api(`/api/madness-brackets/mine?seeding=${encodeURIComponent(data.seedingKey)}&${ballotQs()}`))
+            .bracket
+        : null;
+      mmBracket = {
+        id: mine?.id || null,
+        seedingKey: data.seedingKey,
+        method: data.method,
+        tenantName: tenantById(tenantId)?.name || "",
+        readOnly: !tenantId || !ballotOpen,
+        undo: mine?.undo || [],
+      };
+      buildMadnessState(data.regions, mine?.picks || {});
+      if (!tenantId) setMsg($("madnessMsg"), "Log in to fill in and save your bracket.");
+    }
+    await loadMadnessScore();
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
     return;
   }
 
-  const teamsById = new Map();
-  regions.forEach((r) => (r.teams || []).forEach((t) => teamsById.set(t.id, t)));
+  renderMadness();
+  loadMadnessLeaderboard();
+}
 
-  const games = {};
-  const dependents = {};
+function pickemQs() {
+  const upsetBonus = $("mmUpsetBonus")?.checked ? 1 : 0;
+  return `method=${encodeURIComponent(rankMethod)}&upsetBonus=${upsetBonus}`;
+}
+
+// Score the saved bracket on screen (group tournaments and unsaved brackets have none)
+async function loadMadnessScore() {
+  const el = $("madnessScore");
+  mmScore = null;
+  setMsg(el, "");
+  if (mmTournament || !mmBracket?.id) return;
 
-  function addDep(from, to) {
-    if (!dependents[from]) dependents[from] = [];
-    dependents[from].push(to);
+  try {
+    mmScore = await api(`/api/madness-brackets/${mmBracket.id}/score?${pickemQs()}`, { headers: {} });
+    setMsg(
+      el,
+      `Pick'em score: ${mmScore.score} of ${mmScore.possible} ` +
+        `(${mmScore.correct} of ${mmScore.picked} picks match the group ranking)`
+    );
+  } catch (e) {
+    setMsg(el, `Score unavailable: ${e.message}`);
   }
+}
 
-  const regionBlocks = regions.map((r) => {
-    const rounds = buildRegionRounds(r);
+async function loadMadnessLeaderboard() {
+  const wrap = $("madnessLeaderboard");
+  if (!wrap) return;
 
-    rounds.r64.forEach((g) => (games[g.id] = g));
-    rounds.r32.forEach((g) => {
-      games[g.id] = g;
-      addDep(g.aGame, g.id);
-      addDep(g.bGame, g.id);
-    });
-    rounds.s16.forEach((g) => {
-      games[g.id] = g;
-      addDep(g.aGame, g.id);
-      addDep(g.bGame, g.id);
-    });
-    rounds.e8.forEach((g) => {
-      games[g.id] = g;
-      addDep(g.aGame, g.id);
-      addDep(g.bGame, g.id);
+  try {
+    const data = await api(`/api/madness-brackets/leaderboard?${pickemQs()}&${bracketQs()}&${ballotQs()}`, {
+      headers: {},
     });
+    if (!data.leaderboard.length) {
+      wrap.innerHTML = `<div class="muted">No saved brackets yet.</div>`;
+      return;
+    }
 
-    return { name: r.name, rounds };
-  });
-
-  const e8Winners = regionBlocks.map((rb) => rb.rounds.e8[0].id);
+    wrap.innerHTML = `
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Bracket</th>
+            <th>Score</th>
+            <th>Correct</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${data.leaderboard
+            .map(
+              (b, idx) => `
+            <tr>
+              <td>${idx + 1}</td>
+              <td>${escapeHtml(b.tenantName)}${
+                !b.currentSeeding ? ` <span class="muted small">(earlier seeding)</span>` : ""
+              }</td>
+              <td>${b.score} / ${b.possible}</td>
+              <td>${b.correct} of ${b.picked}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
 
-  games["ff-0"] = {
-    id: "ff-0",
-    type: "ff",
-    aGame: e8Winners[0],
-    bGame: e8Winners[1],
-    winnerId: null,
+// Group tournament: bracket from its own seeding with decided games as picks
+async function loadTournament(id) {
+  const data = await api(`/api/tournaments/${encodeURIComponent(id)}`, { headers: {} });
+  const myVotes = tenantId ? (await api(`/api/tournaments/${encodeURIComponent(id)}/my-votes`)).votes : {};
+  const t = data.tournament;
+
+  mmTournament = {
+    tournament: t,
+    games: Object.fromEntries(data.games.map((g) => [g.gameId, g])),
+    myVotes,
+    members: data.members,
   };
-  games["ff-1"] = {
-    id: "ff-1",
-    type: "ff",
-    aGame: e8Winners[2],
-    bGame: e8Winners[3],
-    winnerId: null,
+  mmBracket = {
+    id: null,
+    seedingKey: t.seedingKey,
+    method: t.method,
+    tenantName: "Group tournament",
+    readOnly: true,
+    undo: [],
   };
-  addDep(e8Winners[0], "ff-0");
-  addDep(e8Winners[1], "ff-0");
-  addDep(e8Winners[2], "ff-1");
-  addDep(e8Winners[3], "ff-1");
-
-  games["final-0"] = {
-    id: "final-0",
-    type: "final",
-    aGame: "ff-0",
-    bGame: "ff-1",
-    winnerId: null,
+  buildMadnessState(
+    t.seeding,
+    Object.fromEntries(data.games.filter((g) => g.winnerId != null).map((g) => [g.gameId, g.winnerId]))
+  );
+  setMsg($("madnessMsg"), tournamentText());
+}
+
+function tournamentText() {
+  const t = mmTournament.tournament;
+  if (t.finishedAt) {
+    const champ = mmState.teamsById.get(t.championId);
+    return `Finished ${new Date(t.finishedAt).toLocaleString()}. Champion: ${champ ? champ.title : "—"}.`;
+  }
+  const open = Object.values(mmTournament.games).filter((g) => g.round === t.currentRound);
+  const deadline = open.map((g) => g.deadline).sort()[0];
+  const waiting = open.filter((g) => !g.decidedBy && mmTournament.myVotes[g.gameId] == null).length;
+  return (
+    `${roundTitle(t.currentRound)} is open until ${new Date(deadline).toLocaleString()} ` +
+    `(games close early once all ${mmTournament.members} members vote). ` +
+    (tenantId ? `${waiting} game(s) waiting for your vote.` : "Log in to vote.")
+  );
+}
+
+async function voteTournament(gameId, teamId) {
+  const t = mmTournament?.tournament;
+  if (!t) return;
+  try {
+    await api(`/api/tournaments/${t.id}/votes`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ gameId, pickId: teamId }),
+    });
+    await loadTournament(t.id);
+    renderMadness();
+  } catch (e) {
+    setMsg($("madnessMsg"), `Vote failed: ${e.message}`);
+  }
+}
+
+async function startTournament() {
+  const msg = $("madnessMsg");
+  const hours = prompt("Hours each round stays open for voting:", "48");
+  if (hours == null) return;
+  try {
+    const data = await api(`/api/tournaments?${ballotQs()}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ method: rankMethod, ...bracketOpts, roundHours: Number(hours) }),
+    });
+    mmView = `t:${data.id}`;
+    loadMadness();
+  } catch (e) {
+    setMsg(msg, `Start failed: ${e.message}`);
+  }
+}
+
+// Bracket picker: my bracket on the current seeding, then every saved one,
+// then the ballot's group tournaments
+function renderMadnessViews(saved, currentKey, tournaments = []) {
+  const sel = $("madnessView");
+  if (!sel) return;
+
+  const label = (b) => {
+    const mine = String(b.tenantId) === String(tenantId);
+    const who = mine ? "My bracket" : b.tenantName;
+    const earlier = b.seedingKey !== currentKey ? ", earlier seeding" : "";
+    return `${who} (${b.picksMade} picks${earlier})`;
   };
-  addDep("ff-0", "final-0");
-  addDep("ff-1", "final-0");
 
-  mmState = { regionBlocks, games, dependents, teamsById };
+  const others = saved.filter(
+    (b) => !(String(b.tenantId) === String(tenantId) && b.seedingKey === currentKey)
+  );
+  const tournamentLabel = (t) =>
+    t.finishedAt
+      ? `Group tournament #${t.id} (finished)`
+      : `Group tournament #${t.id} (${roundTitle(t.currentRound)})`;
+
+  sel.innerHTML = `
+    <option value="mine">My bracket (current seeding)</option>
+    ${others.map((b) => `<option value="${b.id}">${escapeHtml(label(b))}</option>`).join("")}
+    ${tournaments.map((t) => `<option value="t:${t.id}">${escapeHtml(tournamentLabel(t))}</option>`).join("")}
+  `;
+  const views = [...others.map((b) => String(b.id)), ...tournaments.map((t) => `t:${t.id}`)];
+  if (!views.includes(String(mmView))) mmView = "mine";
+  sel.value = String(mmView);
+}
 
-  restoreMadness();
-  renderMadness();
+// Build the game graph for `regions` and apply saved picks
+function buildMadnessState(regions, picks) {
+  const teamsById = new Map();
+  regions.forEach((r) => (r.teams || []).forEach((t) => teamsById.set(t.id, t)));
+
+  const games = {};
+  const dependents = {};
+
+  function addRound(round) {
+    round.games.forEach((g) => {
+      games[g.id] = g;
+      if (!g.aGame) return;
+      [g.aGame, g.bGame].forEach((from) => {
+        if (!dependents[from]) dependents[from] = [];
+        dependents[from].push(g.id);
+      });
+    });
+    return round;
+  }
+
+  const bracketSize = regions.reduce((sum, r) => sum + (r.size || 16), 0);
+  const regionBlocks = regions.map((r) => ({
+    name: r.name,
+    size: r.size || 16,
+    rounds: buildRegionRounds(r, bracketSize).map(addRound),
+  }));
+
+  // Region winners meet pairwise until one is left (none with a single region)
+  const centerRounds = [];
+  let feeders = regionBlocks.map((rb) => rb.rounds.at(-1).games[0].id);
+  for (let teams = regions.length; feeders.length > 1; teams /= 2) {
+    const round = addRound(laterRound("", teams, feeders));
+    centerRounds.push(round);
+    feeders = round.games.map((g) => g.id);
+  }
+
+  mmState = { regionBlocks, centerRounds, finalId: feeders[0], games, dependents, teamsById };
+  applyMadnessSnapshot(picks);
 }
 
 function renderMadness() {
   const wrap = $("madnessWrap");
   if (!wrap || !mmState) return;
 
+  // Regions split into a left and a right column around the center rounds
   const blocks = mmState.regionBlocks;
-  const leftTop = blocks[0];
-  const leftBottom = blocks[1];
-  const rightTop = blocks[2];
-  const rightBottom = blocks[3];
+  const half = Math.ceil(blocks.length / 2);
 
   function regionHtml(rb, side) {
-    const r64Ids = rb.rounds.r64.map((g) => g.id);
-    const r32Ids = rb.rounds.r32.map((g) => g.id);
-    const s16Ids = rb.rounds.s16.map((g) => g.id);
-    const e8Ids = rb.rounds.e8.map((g) => g.id);
-
     const roundsClass = side === "right" ? "mmRegionRounds right" : "mmRegionRounds";
 
     return `
       <div class="mmRegionShell">
         <div class="mmRegionHeader">
           <div class="mmRegionName">${escapeHtml(rb.name)}</div>
-          <div class="mmRegionHint">1–16 seeds</div>
+          <div class="mmRegionHint">1–${rb.size} seeds</div>
         </div>
 
         <div class="${roundsClass}">
-          ${renderRound("Round 1", r64Ids)}
-          ${renderRound("Round 2", r32Ids)}
-          ${renderRound("Sweet 16", s16Ids)}
-          ${renderRound("Elite 8", e8Ids)}
+          ${rb.rounds.map((round) => renderRound(roundTitle(round.type), round.games.map((g) => g.id))).join("")}
         </div>
       </div>
     `;
   }
 
-  const champion = getWinnerTeam("final-0");
+  const champion = getWinnerTeam(mmState.finalId);
   const championLabel = champion ? `#${champion.seed} ${champion.title}` : "—";
+  const centerTitle = mmState.centerRounds.length ? roundTitle(mmState.centerRounds[0].type) : "Champion";
 
   wrap.innerHTML = `
     <div class="mmBracketBoard">
       <div class="mmSideCol">
-        ${regionHtml(leftTop, "left")}
-        ${regionHtml(leftBottom, "left")}
+        ${blocks
+          .slice(0, half)
+          .map((rb) => regionHtml(rb, "left"))
+          .join("")}
       </div>
 
       <div class="mmCenter">
         <div class="mmCenterHeader">
-          <div class="mmCenterTitle">Final Four</div>
-          <div class="mmRegionHint">Click to advance</div>
+          <div class="mmCenterTitle">${escapeHtml(centerTitle)}</div>
+          <div class="mmRegionHint">${
+            mmTournament
+              ? "Click to vote"
+              : mmBracket?.readOnly
+                ? escapeHtml(`${mmBracket.tenantName || "Bracket"} (view only)`)
+                : "Click to advance"
+          }</div>
         </div>
 
         <div class="mmCenterGrid">
-          ${renderRound("National Semifinal", ["ff-0"])}
-          ${renderRound("National Semifinal", ["ff-1"])}
-          ${renderRound("National Championship", ["final-0"])}
+          ${mmState.centerRounds
+            .flatMap((round) => round.games.map((g) => renderRound(roundTitle(round.type), [g.id])))
+            .join("")}
         </div>
 
         <div class="mmChampion">
@@ -1181,8 +1727,10 @@ function renderMadness() {
       </div>
 
       <div class="mmSideCol">
-        ${regionHtml(rightTop, "right")}
-        ${regionHtml(rightBottom, "right")}
+        ${blocks
+          .slice(half)
+          .map((rb) => regionHtml(rb, "right"))
+          .join("")}
       </div>
     </div>
   `;
@@ -1192,7 +1740,8 @@ function renderMadness() {
       const gameId = btn.dataset.game;
       const teamId = Number(btn.dataset.team);
       if (!teamId) return;
-      pickWinner(gameId, teamId);
+      if (mmTournament) voteTournament(gameId, teamId);
+      else pickWinner(gameId, teamId);
     });
   });
 }
@@ -1205,21 +1754,23 @@ async function loadCompare() {
   if (!wrap) return;
 
   if (!tenantId) {
-    wrap.innerHTML = `<div class="muted">Select a seat first.</div>`;
+    wrap.innerHTML = `<div class="muted">Log in first.</div>`;
     return;
   }
 
   wrap.innerHTML = "Loading…";
 
   try {
-    const data = await api("/api/compare", { headers: {} });
+    const data = await api(`/api/compare?method=${encodeURIComponent(rankMethod)}&${ballotQs()}`, {
+      headers: {},
+    });
     const tenants = data.tenants || [];
     const options = data.options || [];
     const ranksByTenant = data.ranksByTenant || {};
 
     const me = tenants.find((t) => String(t.id) === String(tenantId));
     if (!me) {
-      wrap.innerHTML = `<div class="muted">Selected seat not found.</div>`;
+      wrap.innerHTML = `<div class="muted">Logged-in member not found.</div>`;
       return;
     }
 
@@ -1322,6 +1873,7 @@ async function loadCompare() {
 // Burger Club Tracker (CRUD + Sorting)
 // =======================
 let bcEditingId = null;
+let bcRestaurants = []; // from /api/restaurants: { id, name, location, borough, visits }
 
 const MONTHS = [
   "January",
@@ -1380,6 +1932,9 @@ function sortBurgerRows(rows) {
     const av = a[key];
     const bv = b[key];
 
+    // scores: unscored records last either way
+    if (key.endsWith("_score") && (av == null || bv == null)) return (av == null) - (bv == null);
+
     // numbers
     if (typeof av === "number" && typeof bv === "number") return (av - bv) * mul;
 
@@ -1403,7 +1958,8 @@ function sortIndicator(key) {
   return burgerSort.dir === "asc" ? " ▲" : " ▼";
 }
 
-function openBurgerModal(mode, row) {
+// mode "new" with restaurantId logs another visit to that restaurant
+function openBurgerModal(mode, row, restaurantId = null) {
   const modal = $("burgerModal");
   const title = $("burgerModalTitle");
   const hint = $("burgerEditHint");
@@ -1437,44 +1993,90 @@ function openBurgerModal(mode, row) {
   $("bcRestaurant").value = row?.restaurant ?? "";
   $("bcLocation").value = row?.location ?? "";
   $("bcBorough").value = row?.borough ?? "Manhattan";
-  $("bcPaul").checked = !!row?.paul;
-  $("bcJob").checked = !!row?.job;
-  $("bcJohn").checked = !!row?.john;
-  $("bcAndrew").checked = !!row?.andrew;
-  $("bcJJ").checked = !!row?.jj;
-  $("bcJoe").checked = !!row?.joe;
+  renderRestaurantPick(mode === "edit" ? row.restaurant_id : restaurantId);
+  renderAttendeeChecks(row?.attendees);
   // new fields
   $("bcNotes").value = row?.additional_notes ?? row?.additionalNotes ?? "";
   $("bcGuests").value = row?.guests ?? "";
   // clear file input preview
   if ($("bcPhoto")) $("bcPhoto").value = "";
+  if ($("bcRemovePhoto")) $("bcRemovePhoto").checked = false;
+  $("bcRemovePhotoWrap")?.classList.toggle("hidden", !row?.photo_url);
 
   if (title) title.textContent = mode === "edit" ? `Edit Record #${row.id}` : "New Record";
   if (hint) hint.textContent = mode === "edit" ? `Editing record #${row.id}` : "Creating a new record";
   btnDel?.classList.toggle("hidden", mode !== "edit");
+  $("btnBurgerHistory")?.classList.toggle("hidden", mode !== "edit");
+  $("burgerHistory")?.classList.add("hidden");
 
   modal?.classList.remove("hidden");
 }
 
+// Which restaurant the visit is to. A new record can start a new restaurant;
+// an edited one can move to another restaurant (whose details then aren't editable here).
+function renderRestaurantPick(selectedId) {
+  const sel = $("bcRestaurantPick");
+  if (!sel) return;
+  const options = bcRestaurants.map(
+    (r) =>
+      `<option value="${r.id}">${escapeHtml(r.name)} · ${escapeHtml(r.location)} (${r.visits} visit${
+        r.visits === 1 ? "" : "s"
+      })</option>`
+  );
+  if (!bcEditingId) options.unshift(`<option value="">New restaurant</option>`);
+  sel.innerHTML = options.join("");
+  sel.value = selectedId ? String(selectedId) : "";
+  sel.dataset.ownId = bcEditingId ? String(selectedId) : "";
+  applyRestaurantPick();
+}
+
+function applyRestaurantPick() {
+  const sel = $("bcRestaurantPick");
+  const picked = bcRestaurants.find((r) => String(r.id) === sel?.value);
+  const locked = !!picked && sel.value !== sel.dataset.ownId;
+  if (locked) {
+    $("bcRestaurant").value = picked.name;
+    $("bcLocation").value = picked.location;
+    $("bcBorough").value = picked.borough;
+  }
+  ["bcRestaurant", "bcLocation", "bcBorough"].forEach((id) => ($(id).disabled = locked));
+}
+
+// Attendee checkboxes, one per tenant
+function renderAttendeeChecks(attendeeIds) {
+  const wrap = $("bcAttendees");
+  if (!wrap) return;
+  const attended = attendeeSet(attendeeIds);
+
+  wrap.innerHTML = tenants
+    .map(
+      (t) => `
+      <label><input type="checkbox" data-tenant-id="${t.id}" ${
+        attended.has(t.id) ? "checked" : ""
+      } /> ${escapeHtml(tenantShortName(t))}</label>
+    `
+    )
+    .join("");
+}
+
 function closeBurgerModal() {
   $("burgerModal")?.classList.add("hidden");
   bcEditingId = null;
 }
 
 function burgerPayloadFromForm() {
+  const restaurantId = $("bcRestaurantPick")?.value;
   return {
+    restaurantId: restaurantId ? Number(restaurantId) : null,
     year: Number($("bcYear").value),
     month: $("bcMonth").value,
     restaurant: $("bcRestaurant").value.trim(),
     location: $("bcLocation").value.trim(),
     borough: $("bcBorough").value,
     // rating fixed server-side
-    paul: $("bcPaul").checked,
-    job: $("bcJob").checked,
-    john: $("bcJohn").checked,
-    andrew: $("bcAndrew").checked,
-    jj: $("bcJJ").checked,
-    joe: $("bcJoe").checked,
+    attendees: Array.from(
+      document.querySelectorAll("#bcAttendees input[data-tenant-id]:checked")
+    ).map((el) => Number(el.dataset.tenantId)),
     additional_notes: $("bcNotes")?.value || "",
     guests: $("bcGuests")?.value || "",
   };
@@ -1491,12 +2093,19 @@ async function loadBurgerClub() {
   try {
     const data = await api("/api/burger-club", { headers: {} });
     let rows = data.rows || [];
+    bcRestaurants = (await api("/api/restaurants", { headers: {} })).restaurants || [];
 
     if (!rows.length) {
       wrap.innerHTML = `<div class="muted">No records yet. Click “+ New”.</div>`;
       return;
     }
 
+    // Flatten attendance into att_<tenantId> booleans so the columns sort like any other
+    rows.forEach((r) => {
+      const attended = attendeeSet(r.attendees);
+      tenants.forEach((t) => (r[`att_${t.id}`] = attended.has(t.id)));
+    });
+
     rows = sortBurgerRows(rows);
 
     const yesNo = (v) => (v ? "✅" : "—");
@@ -1511,13 +2120,14 @@ async function loadBurgerClub() {
             <th data-sort="restaurant">Restaurant${sortIndicator("restaurant")}</th>
             <th data-sort="location">Location${sortIndicator("location")}</th>
             <th data-sort="borough">Borough${sortIndicator("borough")}</th>
-            <th>Rating</th>
-            <th data-sort="paul">Paul${sortIndicator("paul")}</th>
-            <th data-sort="job">Job${sortIndicator("job")}</th>
-            <th data-sort="john">John${sortIndicator("john")}</th>
-            <th data-sort="andrew">Andrew${sortIndicator("andrew")}</th>
-            <th data-sort="jj">JJ${sortIndicator("jj")}</th>
-            <th data-sort="joe">Joe${sortIndicator("joe")}</th>
+            <th data-sort="visit_score">Visit score${sortIndicator("visit_score")}</th>
+            <th data-sort="restaurant_score">Restaurant score${sortIndicator("restaurant_score")}</th>
+            ${tenants
+              .map(
+                (t) =>
+                  `<th data-sort="att_${t.id}">${escapeHtml(tenantShortName(t))}${sortIndicator(`att_${t.id}`)}</th>`
+              )
+              .join("")}
             <th>Photo</th>
             <th>Notes</th>
             <th>Guests</th>
@@ -1532,21 +2142,28 @@ async function loadBurgerClub() {
               <td class="num strong">${r.id}</td>
               <td class="num">${r.year}</td>
               <td>${escapeHtml(r.month)}</td>
-              <td>${escapeHtml(r.restaurant)}</td>
+              <td>${escapeHtml(r.restaurant)}${
+                r.visit_count > 1 ? ` <span class="muted small">×${r.visit_count} visits</span>` : ""
+              }</td>
               <td>${escapeHtml(r.location)}</td>
               <td>${escapeHtml(r.borough)}</td>
-              <td>${escapeHtml(r.rating)}</td>
-              <td class="num">${yesNo(r.paul)}</td>
-              <td class="num">${yesNo(r.job)}</td>
-              <td class="num">${yesNo(r.john)}</td>
-              <td class="num">${yesNo(r.andrew)}</td>
-              <td class="num">${yesNo(r.jj)}</td>
-              <td class="num">${yesNo(r.joe)}</td>
-              <td>${r.photo_url ? `<img src="${escapeHtml(r.photo_url)}" style="width:72px;height:48px;object-fit:cover;border-radius:6px;"/>` : ''}</td>
+              <td class="num">${fmtScore(r.visit_score)}${
+                r.visit_scorers ? ` <span class="muted small">(${r.visit_scorers})</span>` : ""
+              }</td>
+              <td class="num">${fmtScore(r.restaurant_score)}</td>
+              ${tenants.map((t) => `<td class="num">${yesNo(r[`att_${t.id}`])}</td>`).join("")}
+              <td>${r.photo_url ? `<img src="${escapeHtml(r.photo_thumb_url || r.photo_url)}" style="width:72px;height:48px;object-fit:cover;border-radius:6px;"/>` : ''}</td>
               <td>${escapeHtml(r.additional_notes || '')}</td>
               <td>${escapeHtml(r.guests || '')}</td>
               <td class="num">
-                <button class="miniBtn" data-edit="${r.id}">Edit</button>
+                <button class="miniBtn" data-score="${r.id}">Scores</button>
+                <button class="miniBtn" data-discuss="${r.id}">Reviews</button>
+                ${
+                  isAdmin()
+                    ? `<button class="miniBtn" data-edit="${r.id}">Edit</button>
+                       <button class="miniBtn" data-visit="${r.restaurant_id}" title="Log another visit here">+ Visit</button>`
+                    : ""
+                }
               </td>
             </tr>
           `
@@ -1564,6 +2181,15 @@ async function loadBurgerClub() {
         if (row) openBurgerModal("edit", row);
       });
     });
+    wrap.querySelectorAll("[data-score]").forEach((btn) => {
+      btn.addEventListener("click", () => openScoreModal(rows.find((x) => x.id === Number(btn.dataset.score))));
+    });
+    wrap.querySelectorAll("[data-discuss]").forEach((btn) => {
+      btn.addEventListener("click", () => openDiscussion(rows.find((x) => x.id === Number(btn.dataset.discuss))));
+    });
+    wrap.querySelectorAll("[data-visit]").forEach((btn) => {
+      btn.addEventListener("click", () => openBurgerModal("new", null, Number(btn.dataset.visit)));
+    });
 
     // Bind sortable headers
     wrap.querySelectorAll("th[data-sort]").forEach((th) => {
@@ -1592,25 +2218,10 @@ async function saveBurgerClub() {
   const msg = $("burgerMsg");
   setMsg(msg, "");
   const payload = burgerPayloadFromForm();
+  const file = $("bcPhoto")?.files?.[0];
+  const removePhoto = !!$("bcRemovePhoto")?.checked;
 
-  // If a file is selected, read as data URL and attach as photoData
-  const fileInput = $("bcPhoto");
-  if (fileInput && fileInput.files && fileInput.files.length) {
-    const file = fileInput.files[0];
-    try {
-      const dataUrl = await new Promise((resolve, reject) => {
-        const fr = new FileReader();
-        fr.onload = () => resolve(fr.result);
-        fr.onerror = reject;
-        fr.readAsDataURL(file);
-      });
-      payload.photoData = dataUrl;
-    } catch (err) {
-      // non-fatal: continue without photo
-      console.warn("Failed to read photo file:", err);
-    }
-  }
-
+  let id = bcEditingId;
   try {
     if (bcEditingId) {
       await api(`/api/burger-club/${bcEditingId}`, {
@@ -1625,40 +2236,616 @@ async function saveBurgerClub() {
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
       });
-      setMsg(msg, `✅ Created record #${out?.row?.id ?? ""}`.trim());
+      id = out?.row?.id;
+      setMsg(msg, `✅ Created record #${id ?? ""}`.trim());
     }
-
-    burgerClubAttendanceLoadedAt = 0;
-    closeBurgerModal();
-    await loadBurgerClub();
   } catch (e) {
     setMsg(msg, `Save failed: ${e.message}`);
+    return;
+  }
+
+  // The photo goes up separately once the record exists; a failed upload keeps the record
+  try {
+    if (file) await uploadBurgerPhoto(id, file);
+    else if (removePhoto) await api(`/api/burger-club/${id}/photo`, { method: "DELETE", headers: {} });
+  } catch (e) {
+    setMsg(msg, `${msg.textContent}, but the photo wasn't saved: ${e.message}`);
   }
+
+  closeBurgerModal();
+  await loadBurgerClub();
+}
+
+// Multipart upload; the server checks, resizes and strips the image
+async function uploadBurgerPhoto(id, file) {
+  const form = new FormData();
+  form.append("photo", file);
+  return api(`/api/burger-club/${id}/photo`, { method: "POST", body: form });
 }
 
 async function deleteBurgerClub() {
   const msg = $("burgerMsg");
-  if (!bcEditingId) return;
+  const id = bcEditingId;
+  if (!id) return;
 
-  if (!confirm(`Delete record #${bcEditingId}?`)) return;
+  if (!confirm(`Move record #${id} to the trash?`)) return;
 
   try {
-    await api(`/api/burger-club/${bcEditingId}`, {
-      method: "DELETE",
-      headers: {},
-    });
-    setMsg(msg, `🗑️ Deleted record #${bcEditingId}`);
-    burgerClubAttendanceLoadedAt = 0;
+    await api(`/api/burger-club/${id}`, { method: "DELETE", headers: {} });
+    setMsg(msg, `🗑️ Moved record #${id} to the trash`);
     closeBurgerModal();
     await loadBurgerClub();
+    if (bcShowTrash) await loadBurgerTrash();
   } catch (e) {
     setMsg(msg, `Delete failed: ${e.message}`);
   }
 }
 
+// =======================
+// Tracker trash and history
+// =======================
+let bcShowTrash = false;
+
+function toggleBurgerTrash() {
+  bcShowTrash = !bcShowTrash;
+  $("burgerTrashWrap")?.classList.toggle("hidden", !bcShowTrash);
+  if ($("btnBurgerTrash")) $("btnBurgerTrash").textContent = bcShowTrash ? "Hide trash" : "Trash";
+  if (bcShowTrash) loadBurgerTrash();
+}
+
+async function loadBurgerTrash() {
+  const wrap = $("burgerTrashWrap");
+  if (!wrap) return;
+
+  try {
+    const data = await api("/api/burger-club/trash");
+    const rows = data?.rows || [];
+    const nameOf = (id) => tenants.find((t) => t.id === id)?.name || "—";
+
+    wrap.innerHTML = `
+      <h3>Trash</h3>
+      ${
+        rows.length
+          ? `<table>
+        <thead>
+          <tr><th>#</th><th>Visit</th><th>Restaurant</th><th>Deleted</th><th>By</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              (r) => `
+            <tr>
+              <td class="num strong">${r.id}</td>
+              <td>${escapeHtml(r.month)} ${r.year}</td>
+              <td>${escapeHtml(r.restaurant)} <span class="muted small">${escapeHtml(r.location)}</span></td>
+              <td>${escapeHtml(r.deleted_at)}</td>
+              <td>${escapeHtml(nameOf(r.deleted_by))}</td>
+              <td class="num">
+                <button class="miniBtn" data-restore="${r.id}">Restore</button>
+                <button class="miniBtn" data-purge="${r.id}">Delete forever</button>
+              </td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>`
+          : `<div class="muted">The trash is empty.</div>`
+      }
+    `;
+
+    wrap.querySelectorAll("[data-restore]").forEach((btn) => {
+      btn.addEventListener("click", () => restoreBurgerClub(Number(btn.dataset.restore)));
+    });
+    wrap.querySelectorAll("[data-purge]").forEach((btn) => {
+      btn.addEventListener("click", () => purgeBurgerClub(Number(btn.dataset.purge)));
+    });
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+async function restoreBurgerClub(id) {
+  const msg = $("burgerMsg");
+  try {
+    await api(`/api/burger-club/${id}/restore`, { method: "POST" });
+    setMsg(msg, `♻️ Restored record #${id}`);
+    await loadBurgerTrash();
+    await loadBurgerClub();
+  } catch (e) {
+    setMsg(msg, `Restore failed: ${e.message}`);
+  }
+}
+
+async function purgeBurgerClub(id) {
+  const msg = $("burgerMsg");
+  if (!confirm(`Delete record #${id} for good? This can't be undone.`)) return;
+
+  const remove = (qs = "") => api(`/api/burger-club/trash/${id}${qs}`, { method: "DELETE", headers: {} });
+  try {
+    try {
+      await remove();
+    } catch (e) {
+      // Records with votes are only deleted together with their votes
+      if (e.status !== 409 || !e.data?.votes) throw e;
+      if (!confirm(`Record #${id} has ${e.data.votes} votes (in every ballot). Delete them too?`)) return;
+      await remove("?cascade=1");
+    }
+    setMsg(msg, `🗑️ Deleted record #${id}`);
+    await loadBurgerTrash();
+  } catch (e) {
+    setMsg(msg, `Delete failed: ${e.message}`);
+  }
+}
+
+function historyValue(field, value) {
+  if (value == null || value === "") return "—";
+  if (field === "attendees") {
+    return value.map((id) => tenants.find((t) => t.id === id)?.name || `#${id}`).join(", ") || "—";
+  }
+  return String(value);
+}
+
+// Change history of the record open in the modal
+async function loadBurgerHistory() {
+  const wrap = $("burgerHistory");
+  if (!wrap || !bcEditingId) return;
+  wrap.classList.remove("hidden");
+  wrap.innerHTML = "Loading…";
+
+  try {
+    const data = await api(`/api/burger-club/${bcEditingId}/history`);
+    const entries = data?.history || [];
+    if (!entries.length) {
+      wrap.innerHTML = `<div class="muted small">No recorded changes.</div>`;
+      return;
+    }
+
+    wrap.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Time</th><th>By</th><th>Action</th><th>Changes</th></tr>
+        </thead>
+        <tbody>
+          ${entries
+            .map(
+              (h) => `
+            <tr>
+              <td class="small">${escapeHtml(h.created_at)}</td>
+              <td>${escapeHtml(h.actor_name || "—")}${
+                h.on_behalf_of_name ? ` <span class="muted small">for ${escapeHtml(h.on_behalf_of_name)}</span>` : ""
+              }</td>
+              <td>${escapeHtml(h.action)}</td>
+              <td class="small">${Object.entries(h.changes || {})
+                .map(
+                  ([field, c]) =>
+                    `<div><strong>${escapeHtml(field)}</strong>: ${escapeHtml(historyValue(field, c.from))} → ${escapeHtml(
+                      historyValue(field, c.to)
+                    )}</div>`
+                )
+                .join("")}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+// =======================
+// Criteria scores
+// =======================
+// Members who went to a visit score it per criterion (1-10); admins set the
+// criteria and their weights on the Raw tab.
+let scoringRow = null; // tracker row open in the score modal
+let scoreData = null; // its /api/burger-club/:id/scores
+
+function fmtScore(x) {
+  return x == null ? "—" : Number(x).toFixed(1);
+}
+
+async function openScoreModal(row) {
+  if (!row) return;
+  scoringRow = row;
+  $("scoreModalTitle").textContent = `Scores · ${row.restaurant} (${row.month} ${row.year})`;
+  setMsg($("scoreMsg"), "");
+  $("scoreForm").innerHTML = "Loading…";
+  $("scoreTableWrap").innerHTML = "";
+  $("scoreModal")?.classList.remove("hidden");
+
+  try {
+    scoreData = await api(`/api/burger-club/${row.id}/scores`);
+    renderScores();
+  } catch (e) {
+    $("scoreForm").innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+function renderScores() {
+  const { criteria, members, visitScore, restaurantScore } = scoreData;
+  const canScore = !!tenantId && attendeeSet(scoringRow.attendees).has(Number(tenantId));
+  const mine = members.find((m) => m.tenantId === Number(tenantId))?.scores || {};
+  const choices = Array.from({ length: 10 }, (_, i) => i + 1);
+
+  $("btnSaveScores")?.classList.toggle("hidden", !canScore);
+  $("scoreForm").innerHTML = canScore
+    ? `<div class="gridForm">
+        ${criteria
+          .map(
+            (c) => `
+          <div>
+            <div class="muted small">${escapeHtml(c.label)}${c.weight !== 1 ? ` (×${c.weight})` : ""}</div>
+            <select data-criterion="${c.id}">
+              <option value="">—</option>
+              ${choices.map((n) => `<option ${mine[c.id] === n ? "selected" : ""}>${n}</option>`).join("")}
+            </select>
+          </div>
+        `
+          )
+          .join("")}
+      </div>`
+    : `<div class="muted small">Only members who went can score this visit.</div>`;
+
+  $("scoreTableWrap").innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Member</th>
+          ${criteria.map((c) => `<th>${escapeHtml(c.label)}</th>`).join("")}
+          <th>Score</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${members
+          .map(
+            (m) => `
+          <tr>
+            <td>${escapeHtml(m.name)}</td>
+            ${criteria.map((c) => `<td class="num">${m.scores[c.id] ?? "—"}</td>`).join("")}
+            <td class="num strong">${fmtScore(m.score)}</td>
+          </tr>
+        `
+          )
+          .join("") || `<tr><td colspan="${criteria.length + 2}" class="muted">No scores yet.</td></tr>`}
+      </tbody>
+    </table>
+    <div class="muted small" style="margin-top:6px;">
+      Visit ${fmtScore(visitScore)} • restaurant (all visits) ${fmtScore(restaurantScore)}
+    </div>
+  `;
+}
+
+async function saveScores() {
+  if (!scoringRow) return;
+  const scores = {};
+  document.querySelectorAll("#scoreForm select[data-criterion]").forEach((sel) => {
+    scores[sel.dataset.criterion] = sel.value ? Number(sel.value) : null;
+  });
+
+  try {
+    scoreData = await api(`/api/burger-club/${scoringRow.id}/scores`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ scores }),
+    });
+    renderScores();
+    setMsg($("scoreMsg"), "✅ Saved");
+    await loadBurgerClub();
+  } catch (e) {
+    setMsg($("scoreMsg"), `Save failed: ${e.message}`);
+  }
+}
+
+// =======================
+// Reviews and discussion (tracker)
+// =======================
+let discussingRow = null; // tracker row open in the discussion modal
+let discussion = null; // its /api/burger-club/:id/discussion
+
+async function openDiscussion(row) {
+  if (!row) return;
+  discussingRow = row;
+  $("discussionTitle").textContent = `Reviews · ${row.restaurant} (${row.month} ${row.year})`;
+  setMsg($("discussionMsg"), "");
+  $("reviewList").innerHTML = "Loading…";
+  $("commentList").innerHTML = "";
+  $("newComment").value = "";
+  $("discussionModal")?.classList.remove("hidden");
+
+  try {
+    discussion = await api(`/api/burger-club/${row.id}/discussion`);
+    renderDiscussion();
+  } catch (e) {
+    $("reviewList").innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+function renderDiscussion() {
+  const me = Number(tenantId);
+  const canReview = !!tenantId && attendeeSet(discussingRow.attendees).has(me);
+  const mine = discussion.reviews.find((r) => r.tenant_id === me);
+  const edited = (x) => (x.updated_at !== x.created_at ? " · edited" : "");
+
+  $("reviewList").innerHTML =
+    discussion.reviews
+      .map(
+        (r) => `
+      <div class="review">
+        <div class="muted small"><span class="who">${escapeHtml(r.tenant_name)}</span>
+          · ${new Date(r.updated_at).toLocaleDateString()}${edited(r)}</div>
+        <div>${escapeHtml(r.body)}</div>
+      </div>
+    `
+      )
+      .join("") || `<div class="muted small">No reviews yet.</div>`;
+
+  $("myReviewWrap")?.classList.toggle("hidden", !canReview);
+  $("btnDeleteReview")?.classList.toggle("hidden", !mine);
+  if (canReview) $("myReview").value = mine?.body || "";
+
+  $("commentList").innerHTML =
+    discussion.comments
+      .map(
+        (c) => `
+      <div class="review">
+        <div class="row space">
+          <div class="muted small"><span class="who">${escapeHtml(c.tenant_name)}</span>
+            · ${new Date(c.created_at).toLocaleString()}${edited(c)}</div>
+          <div>
+            ${c.tenant_id === me ? `<button class="miniBtn" data-edit-comment="${c.id}">Edit</button>` : ""}
+            ${c.tenant_id === me || isAdmin() ? `<button class="miniBtn" data-delete-comment="${c.id}">Delete</button>` : ""}
+          </div>
+        </div>
+        <div>${escapeHtml(c.body)}</div>
+        <div class="reactions">
+          ${discussion.reactionChoices
+            .map((emoji) => {
+              const who = c.reactions[emoji] || [];
+              return `<button class="reaction ${who.includes(me) ? "mine" : ""}" data-react="${c.id}"
+                data-emoji="${emoji}">${emoji}${who.length ? ` ${who.length}` : ""}</button>`;
+            })
+            .join("")}
+        </div>
+      </div>
+    `
+      )
+      .join("") || `<div class="muted small">No comments yet.</div>`;
+
+  $("newCommentWrap")?.classList.toggle("hidden", !tenantId);
+
+  const list = $("commentList");
+  list.querySelectorAll("[data-react]").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      updateDiscussion(`/api/comments/${btn.dataset.react}/reactions`, "POST", { emoji: btn.dataset.emoji })
+    );
+  });
+  list.querySelectorAll("[data-edit-comment]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const comment = discussion.comments.find((c) => c.id === Number(btn.dataset.editComment));
+      const body = prompt("Edit comment:", comment?.body || "");
+      if (body == null) return;
+      updateDiscussion(`/api/comments/${comment.id}`, "PUT", { body });
+    });
+  });
+  list.querySelectorAll("[data-delete-comment]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      if (!confirm("Delete this comment?")) return;
+      updateDiscussion(`/api/comments/${btn.dataset.deleteComment}`, "DELETE");
+    });
+  });
+}
+
+// Send a change and re-render from the discussion the server sends back
+async function updateDiscussion(url, method, body, doneMsg = "") {
+  try {
+    const data = await api(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    discussion = data;
+    renderDiscussion();
+    setMsg($("discussionMsg"), doneMsg);
+    return true;
+  } catch (e) {
+    setMsg($("discussionMsg"), `Failed: ${e.message}`);
+    return false;
+  }
+}
+
+async function saveReview() {
+  if (!discussingRow) return;
+  const body = { body: $("myReview").value };
+  await updateDiscussion(`/api/burger-club/${discussingRow.id}/review`, "PUT", body, "✅ Saved");
+}
+
+async function deleteReview() {
+  if (!discussingRow || !confirm("Delete your review?")) return;
+  await updateDiscussion(`/api/burger-club/${discussingRow.id}/review`, "DELETE");
+}
+
+async function postComment() {
+  if (!discussingRow) return;
+  const ok = await updateDiscussion(`/api/burger-club/${discussingRow.id}/comments`, "POST", {
+    body: $("newComment").value,
+  });
+  if (ok) $("newComment").value = "";
+}
+
+// Criteria list with editable label, weight and active flag (Raw tab)
+async function loadCriteriaAdmin() {
+  const wrap = $("criteriaWrap");
+  if (!wrap) return;
+
+  try {
+    const data = await api("/api/criteria");
+    wrap.innerHTML = `
+      <table>
+        <thead>
+          <tr><th>Criterion</th><th>Weight</th><th>Active</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${data.criteria
+            .map(
+              (c) => `
+            <tr data-criterion-row="${c.id}">
+              <td><input data-field="label" value="${escapeHtml(c.label)}" /></td>
+              <td><input data-field="weight" type="number" min="0" max="10" step="0.1" value="${c.weight}" /></td>
+              <td><input data-field="active" type="checkbox" ${c.active ? "checked" : ""} /></td>
+              <td><button class="miniBtn" data-save-criterion="${c.id}">Save</button></td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    wrap.querySelectorAll("[data-save-criterion]").forEach((btn) => {
+      btn.addEventListener("click", () => saveCriterion(btn.dataset.saveCriterion));
+    });
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+async function saveCriterion(id) {
+  const row = document.querySelector(`[data-criterion-row="${id}"]`);
+  const field = (name) => row.querySelector(`[data-field="${name}"]`);
+  try {
+    const data = await api(`/api/criteria/${id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        label: field("label").value,
+        weight: Number(field("weight").value),
+        active: field("active").checked,
+      }),
+    });
+    setMsg($("criteriaMsg"), `Saved ${data.criterion.label}.`);
+    await loadAdminLog();
+  } catch (e) {
+    setMsg($("criteriaMsg"), `Save failed: ${e.message}`);
+  }
+}
+
+async function addCriterion() {
+  try {
+    const data = await api("/api/criteria", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ label: $("criterionLabel")?.value || "", weight: Number($("criterionWeight")?.value || 1) }),
+    });
+    setMsg($("criteriaMsg"), `Added ${data.criterion.label}.`);
+    $("criterionLabel").value = "";
+    await loadCriteriaAdmin();
+    await loadAdminLog();
+  } catch (e) {
+    setMsg($("criteriaMsg"), `Add failed: ${e.message}`);
+  }
+}
+
+// =======================
+// Tracker import (CSV / JSON)
+// =======================
+// Every import is checked with a dry run first; the per-row report stays on
+// screen and the records are only written after the admin confirms.
+function renderImportReport(report) {
+  const wrap = $("burgerImportReport");
+  if (!wrap) return;
+  const problems = report.rows.filter((r) => r.status !== "ok");
+  if (!problems.length) {
+    wrap.innerHTML = "";
+    return;
+  }
+
+  wrap.innerHTML = `
+    <table class="trackerTable" style="margin-bottom:10px;">
+      <thead><tr><th>Row</th><th>Restaurant</th><th>Status</th><th>Problems</th></tr></thead>
+      <tbody>
+        ${problems
+          .map(
+            (r) => `
+          <tr>
+            <td>${r.row}</td>
+            <td>${escapeHtml(r.restaurant)}</td>
+            <td>${r.status === "duplicate" ? "Duplicate" : "Error"}</td>
+            <td>${escapeHtml(r.errors.join("; "))}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+async function importBurgerClub(file) {
+  const msg = $("burgerMsg");
+  setMsg(msg, "Checking…");
+  let text;
+  const request = (dryRun) =>
+    api("/api/burger-club/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        format: file.name.toLowerCase().endsWith(".json") ? "json" : "csv",
+        data: text,
+        dryRun,
+        skipDuplicates: !!$("bcSkipDuplicates")?.checked,
+      }),
+    });
+
+  try {
+    text = await file.text();
+    const check = await request(true);
+    renderImportReport(check);
+    const counts = `${check.valid} new, ${check.duplicates} duplicate, ${check.invalid} invalid of ${check.total} rows`;
+    if (!check.ok) {
+      setMsg(msg, `Nothing imported (${counts}). Fix the rows below${check.invalid ? "" : " or tick “Skip duplicates”"}.`);
+      return;
+    }
+    if (!check.valid) {
+      setMsg(msg, `Nothing to import (${counts}).`);
+      return;
+    }
+    if (!confirm(`Import ${check.valid} records from ${file.name}? (${counts})`)) {
+      setMsg(msg, "");
+      return;
+    }
+
+    const out = await request(false);
+    setMsg(msg, `✅ Imported ${out.imported} records${out.duplicates ? `, skipped ${out.duplicates} duplicates` : ""}`);
+    await loadBurgerClub();
+  } catch (e) {
+    setMsg(msg, `Import failed: ${e.message}`);
+  }
+}
+
 function bindBurgerClub() {
   $("btnRefreshBurger")?.addEventListener("click", loadBurgerClub);
+  $("btnBurgerTrash")?.addEventListener("click", toggleBurgerTrash);
+  $("btnBurgerHistory")?.addEventListener("click", loadBurgerHistory);
+  $("btnCloseScoreModal")?.addEventListener("click", () => $("scoreModal")?.classList.add("hidden"));
+  $("btnCloseDiscussion")?.addEventListener("click", () => $("discussionModal")?.classList.add("hidden"));
+  $("btnSaveReview")?.addEventListener("click", saveReview);
+  $("btnDeleteReview")?.addEventListener("click", deleteReview);
+  $("btnPostComment")?.addEventListener("click", postComment);
+  $("btnSaveScores")?.addEventListener("click", saveScores);
+  $("btnAddCriterion")?.addEventListener("click", addCriterion);
+  $("btnExportBurgerCsv")?.addEventListener("click", () => (window.location.href = "/api/burger-club/export.csv"));
+  $("btnExportBurgerJson")?.addEventListener("click", () => (window.location.href = "/api/burger-club/export.json"));
+  $("btnImportBurger")?.addEventListener("click", () => $("bcImportFile")?.click());
+  $("bcImportFile")?.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) await importBurgerClub(file);
+  });
   $("btnNewBurger")?.addEventListener("click", () => openBurgerModal("new", null));
+  $("bcRestaurantPick")?.addEventListener("change", applyRestaurantPick);
   $("btnCloseBurgerModal")?.addEventListener("click", closeBurgerModal);
   $("btnSaveBurger")?.addEventListener("click", saveBurgerClub);
   $("btnDeleteBurger")?.addEventListener("click", deleteBurgerClub);
@@ -1669,31 +2856,301 @@ function bindBurgerClub() {
   });
 }
 
+// =======================
+// Ballots
+// =======================
+function ballotLabel(b) {
+  return b.status === "open" ? b.name : `${b.name} (${b.status})`;
+}
+
+async function loadBallots() {
+  const sel = $("ballotSelect");
+  try {
+    const data = await api("/api/ballots", { headers: {} });
+    ballots = data.ballots || [];
+    if (!currentBallot()) ballotId = String(data.current ?? ballots[0]?.id ?? "");
+  } catch (e) {
+    setMsg($("tenantMsg"), `Ballots error: ${e.message}`);
+    return;
+  }
+
+  if (sel) {
+    sel.innerHTML = ballots
+      .map((b) => `<option value="${b.id}">${escapeHtml(ballotLabel(b))}</option>`)
+      .join("");
+    sel.value = String(ballotId);
+  }
+  renderBallotAdmin();
+}
+
+function bindBallotSelect() {
+  $("ballotSelect")?.addEventListener("change", async (e) => {
+    ballotId = e.target.value;
+    localStorage.setItem("ballotId", ballotId);
+
+    // Rounds belong to a ballot; drop the one on screen and reload the active tab
+    currentRoundId = null;
+    currentOptions = [];
+    await loadWeighting();
+    switchTab(document.querySelector(".tab.active")?.dataset.tab || "vote");
+  });
+}
+
+function renderBallotAdmin() {
+  const wrap = $("ballotAdminWrap");
+  if (!wrap) return;
+
+  const filterText = (f) =>
+    [
+      f?.years?.length ? `years ${f.years.join(", ")}` : "",
+      f?.boroughs?.length ? f.boroughs.join(", ") : "",
+      f?.optionIds?.length ? `${f.optionIds.length} picked options` : "",
+    ]
+      .filter(Boolean)
+      .join(" • ") || "all options";
+
+  wrap.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>Ballot</th>
+          <th>Options</th>
+          <th>Opens</th>
+          <th>Closes</th>
+          <th>Round size</th>
+          <th>Ranks</th>
+          <th>Votes</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${ballots
+          .map(
+            (b) => `
+          <tr>
+            <td>${escapeHtml(ballotLabel(b))}</td>
+            <td class="muted small">${escapeHtml(filterText(b.filter))}</td>
+            <td>${escapeHtml(b.opensAt)}</td>
+            <td>${escapeHtml(b.closesAt || "—")}</td>
+            <td>${b.roundSize}</td>
+            <td>${escapeHtml(b.rankBy)}</td>
+            <td>${b.votes}</td>
+            <td>${b.status === "open" ? `<button class="miniBtn" data-close-ballot="${b.id}">Close</button>` : ""}</td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+
+  wrap.querySelectorAll("button[data-close-ballot]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const ballot = ballots.find((b) => String(b.id) === btn.dataset.closeBallot);
+      if (!ballot || !confirm(`Close ${ballot.name}? It becomes read-only.`)) return;
+      try {
+        await api(`/api/ballots/${ballot.id}/close`, { method: "POST" });
+        await loadBallots();
+        await loadAdminLog();
+      } catch (e) {
+        setMsg($("ballotMsg"), `Close failed: ${e.message}`);
+      }
+    });
+  });
+}
+
+async function createBallot() {
+  const msg = $("ballotMsg");
+  const list = (id) =>
+    String($(id)?.value || "")
+      .split(",")
+      .map((x) => x.trim())
+      .filter(Boolean);
+
+  const payload = {
+    name: $("ballotName")?.value || "",
+    filter: { years: list("ballotYears").map(Number), boroughs: list("ballotBoroughs") },
+    opensAt: $("ballotOpens")?.value || null,
+    closesAt: $("ballotCloses")?.value || null,
+    roundSize: Number($("ballotRoundSize")?.value || 5),
+    rankBy: $("ballotRankBy")?.value || "visits",
+  };
+
+  try {
+    const data = await api("/api/ballots", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    setMsg(msg, `Created ${data.ballot.name}.`);
+    await loadBallots();
+    await loadAdminLog();
+  } catch (e) {
+    setMsg(msg, `Create failed: ${e.message}`);
+  }
+}
+
+// =======================
+// Vote weighting
+// =======================
+function weightingText(policy) {
+  const notAttended = policy.excludeNotAttended ? "ignored" : `${policy.notAttended}×`;
+  return `Vote weights: attended ${policy.attended}× • didn't attend ${notAttended} • guest ${policy.guest}×`;
+}
+
+async function loadWeighting() {
+  try {
+    const data = await api(`/api/weighting?${ballotQs()}`, { headers: {} });
+    weighting = data.policy;
+  } catch (e) {
+    setMsg($("weightingSummary"), `Weighting error: ${e.message}`);
+    return;
+  }
+
+  setMsg($("weightingSummary"), weightingText(weighting));
+  if ($("wAttended")) $("wAttended").value = weighting.attended;
+  if ($("wNotAttended")) $("wNotAttended").value = weighting.notAttended;
+  if ($("wGuest")) $("wGuest").value = weighting.guest;
+  if ($("wExclude")) $("wExclude").checked = weighting.excludeNotAttended;
+
+  // Closed ballots are read-only
+  const closed = currentBallot()?.status === "closed";
+  ["wAttended", "wNotAttended", "wGuest", "wExclude", "btnSaveWeighting", "btnRepairWeights"].forEach((id) => {
+    if ($(id)) $(id).disabled = closed;
+  });
+}
+
+async function saveWeighting() {
+  const msg = $("weightingMsg");
+  const payload = {
+    attended: Number($("wAttended")?.value),
+    notAttended: Number($("wNotAttended")?.value),
+    guest: Number($("wGuest")?.value),
+    excludeNotAttended: Boolean($("wExclude")?.checked),
+  };
+
+  try {
+    const data = await api(`/api/weighting?${ballotQs()}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    setMsg(msg, `Saved. Re-weighted ${data.reweighted} votes.`);
+    await loadWeighting();
+    await loadAdminLog();
+  } catch (e) {
+    setMsg(msg, `Save error: ${e.message}`);
+  }
+}
+
+// Votes whose stored weight no longer matches attendance (e.g. after a role change)
+async function checkVoteWeights() {
+  const wrap = $("weightAuditWrap");
+  if (!wrap) return;
+
+  try {
+    const data = await api(`/api/admin/vote-weights?${ballotQs()}`);
+    const rows = data?.rows || [];
+    if (!rows.length) {
+      wrap.innerHTML = `<div class="muted small">All stored weights match current attendance.</div>`;
+      return;
+    }
+
+    wrap.innerHTML = `
+      <div class="muted small">${rows.length} vote(s) out of date.</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Member</th>
+            <th>Option</th>
+            <th>Stored</th>
+            <th>Expected</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              (r) => `
+            <tr>
+              <td>${escapeHtml(r.tenant_name)}</td>
+              <td>${escapeHtml(r.option_title || `#${r.option_id}`)}</td>
+              <td>${escapeHtml(r.voter_status)} (${Number(r.weight).toFixed(2)})</td>
+              <td>${escapeHtml(r.expected_status)} (${Number(r.expected_weight).toFixed(2)})</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (e) {
+    wrap.innerHTML = `<div class="muted">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+async function repairVoteWeights() {
+  const msg = $("weightingMsg");
+  try {
+    const data = await api(`/api/admin/vote-weights/repair?${ballotQs()}`, { method: "POST" });
+    setMsg(msg, `Repaired ${data.repaired} vote(s).`);
+    await checkVoteWeights();
+    await loadAdminLog();
+  } catch (e) {
+    setMsg(msg, `Repair error: ${e.message}`);
+  }
+}
+
 // =======================
 // Init
 // =======================
 document.addEventListener("DOMContentLoaded", async () => {
   bindTabs();
-  bindTenantSelect();
+  bindRankMethod();
+  bindBracketOptions();
+  bindLogin();
   bindVoteButtons();
   bindBurgerClub();
 
   await loadTenants();
-  // show tenant photo in left rail (placeholder if none)
-  updateTenantRail();
+  await loadBallots();
+  bindBallotSelect();
+  // resolve the session (also updates the left rail photo)
+  await loadSession();
   if (tenantId) await refreshProgress();
+  await loadWeighting();
 
   // Raw
   $("btnRefreshRaw")?.addEventListener("click", loadRaw);
   $("rawFilter")?.addEventListener("input", loadRaw);
+  $("btnSaveWeighting")?.addEventListener("click", saveWeighting);
+  $("btnCreateBallot")?.addEventListener("click", createBallot);
+  $("btnCheckWeights")?.addEventListener("click", checkVoteWeights);
+  $("btnRepairWeights")?.addEventListener("click", repairVoteWeights);
+
+  // Bracket posters
+  $("btnExportBrackets")?.addEventListener("click", (e) => exportPoster(e.target, "/api/brackets/export"));
+  $("btnExportPersonal")?.addEventListener("click", (e) => exportPoster(e.target, "/api/personal-bracket/export"));
 
   // Madness: full reset refresh + undo
-  $("btnRefreshMadness")?.addEventListener("click", () => {
-    localStorage.removeItem("mmState");
-    localStorage.removeItem("mmUndo");
+  $("btnRefreshMadness")?.addEventListener("click", resetMadness);
+  $("btnUndoMadness")?.addEventListener("click", undoMadness);
+  $("btnStartTournament")?.addEventListener("click", startTournament);
+  $("btnExportMadness")?.addEventListener("click", (e) => {
+    if (mmTournament || !mmBracket?.id) {
+      setMsg($("madnessMsg"), "Only saved brackets can be exported; make a pick first.");
+      return;
+    }
+    exportPoster(e.target, `/api/madness-brackets/${mmBracket.id}/export`);
+  });
+  $("mmUpsetBonus")?.addEventListener("change", async () => {
+    await loadMadnessScore();
+    renderMadness();
+    loadMadnessLeaderboard();
+  });
+  $("madnessView")?.addEventListener("change", (e) => {
+    mmView = e.target.value;
     loadMadness();
   });
-  $("btnUndoMadness")?.addEventListener("click", undoMadness);
 
   // Compare
   $("btnRefreshCompare")?.addEventListener("click", loadCompare);
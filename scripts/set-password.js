@@ -0,0 +1,40 @@
+// Usage: npm run set-password -- "Andrew King" <new password>
+// Bootstraps or resets a tenant's login; also signs out their existing sessions.
+const { pool } = require("../db");
+const { hashPassword, passwordProblem } = require("../auth");
+
+async function main() {
+  const [name, password] = process.argv.slice(2);
+  if (!name || !password) {
+    console.error('Usage: npm run set-password -- "<tenant name>" <password>');
+    process.exitCode = 1;
+    return;
+  }
+  const problem = passwordProblem(password);
+  if (problem) {
+    console.error(problem);
+    process.exitCode = 1;
+    return;
+  }
+
+  const hash = await hashPassword(password);
+  const result = await pool.query(
+    "UPDATE tenants SET password_hash = $1 WHERE name = $2 RETURNING id",
+    [hash, name]
+  );
+  if (!result.rows.length) {
+    console.error(`No tenant named "${name}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await pool.query("DELETE FROM sessions WHERE tenant_id = $1", [result.rows[0].id]);
+  console.log(`Password set for ${name}`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
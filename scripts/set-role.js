@@ -0,0 +1,52 @@
+// Usage: npm run set-role -- "Paul Morse" admin|member|guest
+// Also re-weights the tenant's votes in ballots that aren't closed, since
+// guests vote at the guest weight.
+const { pool } = require("../db");
+const { parsePolicy, expectedVotesParams, reweightVotesSql } = require("../lib/weighting");
+
+const ROLES = ["admin", "member", "guest"];
+
+async function main() {
+  const [name, role] = process.argv.slice(2);
+  if (!name || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- "<tenant name>" ${ROLES.join("|")}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query("UPDATE tenants SET role = $1 WHERE name = $2 RETURNING id", [role, name]);
+    if (!result.rowCount) {
+      await client.query("ROLLBACK");
+      console.error(`No tenant named "${name}"`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const ballots = await client.query(
+      "SELECT id, weighting FROM ballots WHERE closes_at IS NULL OR closes_at > NOW()"
+    );
+    let reweighted = 0;
+    for (const row of ballots.rows) {
+      const ballot = { id: row.id, weighting: parsePolicy(row.weighting || {}).policy };
+      const updated = await client.query(reweightVotesSql(), expectedVotesParams(ballot, null, result.rows[0].id));
+      reweighted += updated.rowCount;
+    }
+    await client.query("COMMIT");
+    console.log(`${name} is now ${role}${reweighted ? ` (${reweighted} votes re-weighted)` : ""}`);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());